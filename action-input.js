@@ -0,0 +1,349 @@
+import { addInputSource, addInputUpdater, getInputTime } from './input.js';
+import { isKeyDown, isKeyPressed, isKeyReleased } from './keyboard-input.js';
+
+// Map of binding types to the functions reading them; @see defineBindingType
+const bindingTypes = new Map();
+
+// Maps of action and axis names to their current bindings
+const actions = new Map();
+const axes = new Map();
+
+// Maps of action and axis names to the bindings they were defined with; @see resetBindings
+const defaultActions = new Map();
+const defaultAxes = new Map();
+
+// Maps of action names to the times they went down, and were last pressed, in seconds
+const actionDownTimes = new Map();
+const actionPressTimes = new Map();
+
+/**
+ * Defines a type of binding, so input sources other than the keyboard can be bound to actions and axes
+ * @param {String} type The name of the binding type; the type member of its bindings
+ * @param {*} reader The functions reading a binding of this type; down, pressed and released, each returning a Boolean for the current tick,
+ * optionally value, returning a Number from -1 to 1 for analog input, and optionally triggers, returning whether a piece of raw input presses the
+ * binding. Value defaults to 1 while down, otherwise 0; bindings without triggers are never pressed by raw input. @see isActionTriggeredBy
+ */
+export function defineBindingType(type, reader) {
+    bindingTypes.set(type, reader);
+}
+
+/**
+ * Creates a keyboard binding
+ * @param {String} keyName The key to bind, as in KeyboardEvent.key
+ * @returns {*} Returns the binding
+ */
+export function key(keyName) {
+    return { type: 'key', key: keyName };
+}
+
+/**
+ * Defines an action, e.g. jump or pause, bound to one or more inputs; any of them triggers it. Redefining an action replaces its bindings.
+ * @param {String} name The name of the action
+ * @param  {...any} bindings The bindings of the action; @see key
+ */
+export function defineAction(name, ...bindings) {
+    defaultActions.set(name, bindings);
+    actions.set(name, bindings.slice());
+}
+
+/**
+ * Defines an axis, e.g. moveX, bound to one or more inputs; the strongest of them sets its value. Redefining an axis replaces its bindings.
+ * @param {String} name The name of the axis
+ * @param  {...any} bindings The bindings of the axis; pairs of digital bindings, as {negative, positive}, or analog bindings
+ */
+export function defineAxis(name, ...bindings) {
+    defaultAxes.set(name, bindings);
+    axes.set(name, bindings.slice());
+}
+
+/**
+ * Checks if an action or axis has been defined
+ * @param {String} name The name of the action or axis
+ * @returns {Boolean} Returns whether or not there is an action or axis with that name
+ */
+export function isDefined(name) {
+    return actions.has(name) || axes.has(name);
+}
+
+/**
+ * Gets the bindings of an action or axis
+ * @param {String} name The name of the action or axis
+ * @returns {Array<*>} Returns the current bindings
+ */
+export function getBindings(name) {
+    return bindingsOf(name);
+}
+
+/**
+ * Adds a binding to an action or axis
+ * @param {String} name The name of the action or axis
+ * @param {*} binding The binding to add
+ */
+export function bind(name, binding) {
+    bindingsOf(name).push(binding);
+}
+
+/**
+ * Replaces a binding of an action or axis; for rebinding controls at runtime
+ * @param {String} name The name of the action or axis
+ * @param {Number} index The index of the binding to replace; @see getBindings
+ * @param {*} binding The new binding
+ */
+export function rebind(name, index, binding) {
+    bindingsOf(name)[index] = binding;
+}
+
+/**
+ * Removes a binding from an action or axis, or all of its bindings
+ * @param {String} name The name of the action or axis
+ * @param {Number} index The index of the binding to remove. Defaults to all bindings.
+ */
+export function unbind(name, index) {
+    const bindings = bindingsOf(name);
+
+    if (index == undefined) {
+        bindings.length = 0;
+    } else {
+        bindings.splice(index, 1);
+    }
+}
+
+/**
+ * Restores the bindings every action and axis was defined with
+ */
+export function resetBindings() {
+    defaultActions.forEach((bindings, name) => actions.set(name, bindings.slice()));
+    defaultAxes.forEach((bindings, name) => axes.set(name, bindings.slice()));
+}
+
+/**
+ * Waits for the next key press and passes it to a callback as a binding; for rebinding menus
+ * @param {Function<*>} callback The function to call with the new binding
+ */
+export function captureBinding(callback) {
+    window.addEventListener('keydown', event => callback(key(event.key)), { once: true });
+}
+
+/**
+ * If an action is down; any of its bindings are down
+ * @param {String} name The name of the action
+ * @returns {Boolean} Returns whether or not the action is down
+ */
+export function isActionDown(name) {
+    return bindingsOf(name).some(binding => reader(binding).down(binding));
+}
+
+/**
+ * If an action has just been pressed; any of its bindings have been pressed this tick
+ * @param {String} name The name of the action
+ * @returns {Boolean} Returns whether or not the action was just pressed
+ */
+export function isActionPressed(name) {
+    return bindingsOf(name).some(binding => reader(binding).pressed(binding));
+}
+
+/**
+ * If an action has just been released; any of its bindings have been released this tick, and none are still down
+ * @param {String} name The name of the action
+ * @returns {Boolean} Returns whether or not the action was just released
+ */
+export function isActionReleased(name) {
+    return !isActionDown(name) && bindingsOf(name).some(binding => reader(binding).released(binding));
+}
+
+/**
+ * If a piece of raw input presses an action as it's dispatched, before it's snapshotted; @see addInputListener
+ * @param {String} name The name of the action
+ * @param {String} source The name of the input source
+ * @param {*} input The raw input
+ * @returns {Boolean} Returns whether or not the raw input presses any of the action's bindings
+ */
+export function isActionTriggeredBy(name, source, input) {
+    return bindingsOf(name).some(binding => {
+        const bindingReader = reader(binding);
+        return bindingReader.triggers != undefined && bindingReader.triggers(binding, source, input);
+    });
+}
+
+/**
+ * Gets how long an action has been held down
+ * @param {String} name The name of the action
+ * @returns {Number} Returns the time the action has been down for as of this tick in seconds, or 0 if it isn't down
+ */
+export function getActionHoldDuration(name) {
+    return actionDownTimes.has(name) ? getInputTime() - actionDownTimes.get(name) : 0;
+}
+
+/**
+ * If an action has been pressed within a window of time; an input buffer, e.g. for jumping just before landing
+ * @param {String} name The name of the action
+ * @param {Number} seconds The length of the window, ending this tick, in seconds
+ * @param {Boolean} consume Whether or not to clear the buffered press if there is one, so it's only acted on once. Defaults to false.
+ * @returns {Boolean} Returns whether or not the action was pressed within the window
+ */
+export function wasActionPressedWithin(name, seconds, consume = false) {
+    const buffered = actionPressTimes.has(name) && getInputTime() - actionPressTimes.get(name) <= seconds;
+
+    if (buffered && consume) {
+        actionPressTimes.delete(name);
+    }
+
+    return buffered;
+}
+
+/**
+ * Gets the value of an axis
+ * @param {String} name The name of the axis
+ * @returns {Number} Returns the value of the strongest binding of the axis, from -1 to 1
+ */
+export function getAxis(name) {
+    let axis = 0;
+
+    for (const binding of bindingsOf(name)) {
+
+        // Digital pairs are -1, 0 or 1, analog bindings read their value
+        const value = binding.negative != undefined
+            ? bindingValue(binding.positive) - bindingValue(binding.negative)
+            : bindingValue(binding);
+
+        if (Math.abs(value) > Math.abs(axis)) {
+            axis = value;
+        }
+    }
+
+    return axis;
+}
+
+/**
+ * Serializes the current bindings of every action and axis to JSON
+ * @returns {String} Returns the JSON
+ */
+export function saveBindings() {
+    return JSON.stringify({
+        actions: Object.fromEntries(actions),
+        axes: Object.fromEntries(axes),
+    });
+}
+
+/**
+ * Loads bindings serialized by @see saveBindings. Only actions and axes that have been defined are rebound; the rest are ignored.
+ * @param {String} json The JSON
+ */
+export function loadBindings(json) {
+    const saved = JSON.parse(json);
+
+    for (const [map, savedBindings] of [[actions, saved.actions], [axes, saved.axes]]) {
+        for (const name in savedBindings) {
+            if (map.has(name)) {
+                map.set(name, savedBindings[name]);
+            }
+        }
+    }
+}
+
+/**
+ * Saves the current bindings to local storage, so they survive reloads
+ * @param {String} storageKey The local storage key. Defaults to 'bindings'.
+ */
+export function storeBindings(storageKey = 'bindings') {
+    localStorage.setItem(storageKey, saveBindings());
+}
+
+/**
+ * Restores bindings saved to local storage by @see storeBindings, if any
+ * @param {String} storageKey The local storage key. Defaults to 'bindings'.
+ * @returns {Boolean} Returns whether or not there were bindings to restore
+ */
+export function restoreBindings(storageKey = 'bindings') {
+    const json = localStorage.getItem(storageKey);
+
+    if (json == null) {
+        return false;
+    }
+
+    loadBindings(json);
+    return true;
+}
+
+/**
+ * Gets the bindings of an action or axis
+ * @param {String} name The name of the action or axis
+ * @returns {Array<*>} Returns the current bindings
+ */
+function bindingsOf(name) {
+    const bindings = actions.get(name) || axes.get(name);
+
+    if (bindings == undefined) {
+        throw new Error(`No action or axis named '${name}'`);
+    }
+
+    return bindings;
+}
+
+/**
+ * Gets the reader of a binding's type
+ * @param {*} binding The binding
+ * @returns {*} Returns the functions reading the binding; @see defineBindingType
+ */
+function reader(binding) {
+    const bindingReader = bindingTypes.get(binding.type);
+
+    if (bindingReader == undefined) {
+        throw new Error(`Unknown binding type '${binding.type}'`);
+    }
+
+    return bindingReader;
+}
+
+/**
+ * Reads the value of a binding
+ * @param {*} binding The binding
+ * @returns {Number} Returns the analog value of the binding, or 1 while down and 0 otherwise
+ */
+function bindingValue(binding) {
+    const bindingReader = reader(binding);
+
+    if (bindingReader.value != undefined) {
+        return bindingReader.value(binding);
+    }
+
+    return bindingReader.down(binding) ? 1 : 0;
+}
+
+/**
+ * Tracks when each action went down and was last pressed, for hold durations and input buffering. @see addInputUpdater
+ * @param {Number} now The time of the tick in seconds
+ */
+function updateActions(now) {
+    for (const name of actions.keys()) {
+        if (!isActionDown(name)) {
+            actionDownTimes.delete(name);
+        } else if (!actionDownTimes.has(name)) {
+            actionDownTimes.set(name, now);
+        }
+
+        if (isActionPressed(name)) {
+            actionPressTimes.set(name, now);
+        }
+    }
+}
+
+/**
+ * Forgets when actions went down and were pressed, so recordings and replays don't start with presses buffered from before them
+ */
+function resetActions() {
+    actionDownTimes.clear();
+    actionPressTimes.clear();
+}
+
+// Define the keyboard binding type
+defineBindingType('key', {
+    down: binding => isKeyDown(binding.key),
+    pressed: binding => isKeyPressed(binding.key),
+    released: binding => isKeyReleased(binding.key),
+    triggers: (binding, source, input) => source == 'keyboard' && input[0] == 'd' && input[1] == binding.key,
+});
+
+// Track actions every tick, after every input source has been snapshotted; actions have no raw input of their own, only state to reset
+addInputSource('actions', () => {}, resetActions);
+addInputUpdater(updateActions, -1);
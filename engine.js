@@ -1,17 +1,31 @@
+import { defineAction, isActionTriggeredBy, isDefined, key } from './action-input.js';
+import { addInputListener, blockInput, unblockInput, updateInput } from './input.js';
+
 /** 
- * Variable for PIXI application; to bo set in @see Renderer.init
+ * Variables for PIXI application and the HTML element that is the display; to bo set in @see Renderer.init
+ * Nothing touches the DOM or PIXI until then, so the physics can be imported and simulated headless.
  */
 let application;
+let displayElement;
 
 /**
  * Constants for game engine:
  * - The id of the element to set as the parent of the PIXI renderer
- * - The HTML element that is the display
  * - The normalized height of the renderer; the maximum height of the on screen coordinate system
+ * - The name of the input action toggling full screen
  */
 const PARENT_ID = 'display';
-const DISPLAY_ELEMENT = document.getElementById(PARENT_ID);
 const NORMALIZED_RENDER_HEIGHT = 640;
+const FULLSCREEN_ACTION = 'fullscreen';
+
+/**
+ * Creates a sprite for a physbody with none supplied; null when running headless, without PIXI
+ * @param {String} texture The name of the PIXI.Texture constant to use, e.g. WHITE
+ * @returns {PIXI.Sprite} Returns the new sprite, or null if PIXI isn't present
+ */
+function createSprite(texture) {
+    return typeof PIXI == 'undefined' ? null : new PIXI.Sprite(PIXI.Texture[texture]);
+}
 
 export class Renderer {
 
@@ -23,14 +37,23 @@ export class Renderer {
         // Initialize the PIXI application
         application = new PIXI.Application();
 
-        // Append the renderer view to the HTML page
-        document.getElementById(PARENT_ID).appendChild(application.view);
+        // Render the scene through each camera instead of once; @see Renderer.render
+        application.ticker.remove(application.render, application);
+        application.ticker.add(Renderer.render, Renderer, PIXI.UPDATE_PRIORITY.LOW);
+        application.renderer.clearBeforeRender = false;
+
+        // Create the mask clipping the world container to each camera viewport
+        Renderer._mask = new PIXI.Graphics();
+
+        // Find the display, and append the renderer view to it
+        displayElement = document.getElementById(PARENT_ID);
+        displayElement.appendChild(application.view);
 
         // Adds the automatic screen resizer and scalar to the internal PIXI ticker; should not be involved with game engine ticker
         application.ticker.add(() => {
             
             // Resize the application with respect to the HTML parent; the display div
-            application.resizeTo = DISPLAY_ELEMENT;
+            application.resizeTo = displayElement;
             application.resize();
 
             // Generate scalar based on local game size; local coordinate system game height is 640 pixels
@@ -50,97 +73,164 @@ export class Renderer {
             } else {
 
                 // If not full screen, resize application to HTML parent; display div
-                application.resizeTo = DISPLAY_ELEMENT;
+                application.resizeTo = displayElement;
             }
         });
 
-        // TODO Temporary key change full screen state
-        window.addEventListener('keyup', e => {
-            if (e.key == 'f') {
-                if (!Renderer._fullscreen) {
-                    DISPLAY_ELEMENT.requestFullscreen();
-                } else {
-                    document.exitFullscreen();
-                }
+        // Snapshot input at the start of every game engine tick, before any scene functions read it; unless it's snapshotted every physics step instead
+        Renderer.ticker.add(() => {
+            if (!Physics.stepInput) {
+                updateInput();
+            }
+        }, null, PIXI.UPDATE_PRIORITY.INTERACTION);
+
+        // Toggle full screen state with the fullscreen action; bound to f unless the game has defined it already
+        if (!isDefined(FULLSCREEN_ACTION)) {
+            defineAction(FULLSCREEN_ACTION, key('f'));
+        }
+
+        // Checked as raw input is dispatched, inside the browser event; full screen can only be requested in response to the user, not when input is
+        // next snapshotted, and replayed presses aren't dispatched. Browsers can still refuse, e.g. for bindings whose events don't count, leaving the
+        // game as it was
+        addInputListener((source, input) => {
+            if (isActionTriggeredBy(FULLSCREEN_ACTION, source, input)) {
+                const request = !Renderer._fullscreen ? displayElement.requestFullscreen() : document.exitFullscreen();
+                request.catch(() => {});
             }
         });
     }
 
     /**
-     * Loads a scene, can also be used by setting Renderer.scene.
+     * Renders the scene stack and the running transition, if any; @see Renderer.pushScene. Run by the PIXI ticker every frame, in place of the default render.
+     */
+    static render() {
+        application.renderer.clear();
+
+        renderScenes();
+
+        // Draw the running transition over the scenes, in the same normalized coordinates
+        if (Renderer._transition != null) {
+            Renderer._transition.layer.scale.set(application.stage.scale.x, application.stage.scale.y);
+            application.renderer.render(Renderer._transition.layer);
+        }
+    }
+
+    /**
+     * Finds the camera rendered at a point on screen; for picking
+     * @param {Vector2} screen The screen coordinates to check
+     * @returns {Camera} Returns the last camera in @see Renderer.cameras whose viewport contains the point, as it's drawn on top, or null if there is none
+     */
+    static cameraAt(screen) {
+        for (let i = Renderer.cameras.length - 1; i >= 0; i--) {
+            if (Renderer.cameras[i].contains(screen)) {
+                return Renderer.cameras[i];
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Loads a scene, can also be used by setting Renderer.scene. Every scene in the stack is exited and destroyed first; @see Renderer.pushScene.
+     * Assets of the old scenes that the new scene doesn't reference are unloaded, and the new scene's missing assets are loaded.
      * @param {Scene} newScene The scene to be loaded
+     * @param {Function<Scene>} onLoad The function to call once the scene has been set up, before its first tick. Optional.
      */
-    static loadScene(newScene) {
+    static loadScene(newScene, onLoad) {
 
         // Stop the game engine ticker while loading scene; performance and alleviates glitches
         Renderer.ticker.stop();
 
-        // If currently loaded scene is actually a scene, perform the removal process
-        if (Renderer.scene instanceof Scene) {
+        replaceScenes(newScene, onLoad);
 
-            // Remove all ticker functions from the old scene from the game engine ticker
-            for (const tickerFunc of Renderer.scene.functions) {
-                Renderer.ticker.remove(tickerFunc.func, tickerFunc.context);
-            }
+        // Restart the game engine ticker now that the new scene has been loaded
+        Renderer.ticker.start();
+    }
+
+    /**
+     * Loads a scene on top of the current one; for pause menus, dialogs and other overlays. The scene below is paused, its ticker functions and physics
+     * frozen, but keeps rendering underneath. Pushed scenes are drawn once over the whole screen, in screen coordinates, rather than through the cameras,
+     * and keep the background of the scene at the bottom. @see Renderer.popScene
+     * @param {Scene} newScene The scene to be loaded on top
+     * @param {Function<Scene>} onLoad The function to call once the scene has been set up, before its first tick. Optional.
+     */
+    static pushScene(newScene, onLoad) {
+        if (Renderer._scenes.includes(newScene)) {
+            throw new Error('Scene is already loaded');
+        }
 
-            // Reset the ticker function array in the old scene; in case it's loaded again
-            Renderer.scene.functions.length = 0;
+        Renderer.ticker.stop();
+        AssetLoader.retain(manifestOf(newScene));
 
-            // Purge all physbodies, the new scene will make new ones
-            Physics.purgeEntities();
+        // Freeze the current scene where it is; its world isn't stepped while its functions are off the ticker
+        const below = Renderer.scene;
 
-            // Reset camera coordinates
-            Camera.x = 0;
-            Camera.y = 0;
+        if (below != null) {
+            removeFunctions(below);
+            callHook(below, 'onPause');
         }
 
-        // Create new container object to pass to the new scene setup function
-        const container = new PIXI.Container();
+        enterScene(newScene, onLoad);
 
-        // Use the PIXI loader to access game assets; resources
-        application.loader.load((_, resources) => {
+        Renderer.ticker.start();
+    }
 
-            // Call the scene setup method, passing the game assets and new container; builds the scene
-            newScene.setup(resources, container);
+    /**
+     * Exits and destroys the scene on top of the stack, resuming the one below exactly where it was paused; its setup function isn't called again
+     * @returns {Scene} Returns the removed scene
+     */
+    static popScene() {
+        if (Renderer._scenes.length < 2) {
+            throw new Error('No scene to pop back to');
+        }
 
-            /**
-             * TODO as the Scene options list grows, handle them here
-             */
+        Renderer.ticker.stop();
 
-            // Autofill options with defaults if any are missing
-            const options = Object.assign({}, Scene.DEFAULT_OPTIONS, newScene.options);
+        const oldScene = Renderer._scenes.pop();
 
-            // Set the background of the scene
-            application.renderer.backgroundColor = options.backgroundColor;
+        removeFunctions(oldScene);
+        callHook(oldScene, 'onExit');
+        destroyScene(oldScene);
 
-            /**
-             * If debug is enabled in the options, turn on the debug functions. For now, this is limited to:
-             * - Physbody collision bounding-box outline
-             */
-            if (options.debug) {
-                newScene.functions.push(DEBUG_OUTLINE_FUNCTION);
-                container.addChild(DEBUG_OUTLINE_FUNCTION.graphics);
-            }
+        const scene = Renderer.scene;
 
-            // Sort all the children in the container by its z-index. Z-index on its own doesn't seem to do anything, but sorting this works for render priority
-            container.children.sort((a, b) => {
-                return a.zIndex - b.zIndex;
-            });
+        // Make the scene's collision layers and world active again; the world measures time from its next step, so the pause isn't simulated
+        Physics.defineLayers(scene.options.layers || Scene.DEFAULT_OPTIONS.layers);
+        Physics.world = scene.world;
+        scene.world.lastFrame = null;
 
-            // Add ticker functions from this scene to the game engine ticker
-            newScene.functions.forEach(func => {
-                Renderer.ticker.add(func.func, func.context, func.priority);
-            });
-        });
+        // The debug outline graphics are shared, and were moved to the scene above if it was debugged too
+        if (scene.functions.includes(DEBUG_OUTLINE_FUNCTION)) {
+            scene.container.addChild(DEBUG_OUTLINE_FUNCTION.graphics);
+        }
 
-        // Set the current stage view to the new scene's container
-        application.stage = container;
+        // Restore the scene's background, in case the scene above set one
+        application.renderer.backgroundColor = Object.assign({}, Scene.DEFAULT_OPTIONS, scene.options).backgroundColor;
 
-        // Last thing before ticker start; set current stage variable to the new one
-        Renderer._scene = newScene;
+        addFunctions(scene);
+        buildStage();
+        callHook(scene, 'onResume');
 
-        // Restart the game engine ticker now that the new scene has been loaded
         Renderer.ticker.start();
+
+        return oldScene;
+    }
+
+    /**
+     * Switches to a scene through an animated transition, instead of cutting to it. The current scene keeps running and rendering while the new
+     * scene's assets load, and is swapped out for it once the transition covers the screen; input is blocked until the transition is over.
+     * @param {Scene} newScene The scene to be loaded
+     * @param {*} options The transition options; effect, duration, easing and color. @see Transition
+     * @returns {Transition} Returns the running transition
+     */
+    static transitionTo(newScene, options) {
+        if (Renderer._transition != null) {
+            throw new Error('A transition is already running');
+        }
+
+        Renderer._transition = new Transition(newScene, options);
+
+        return Renderer._transition;
     }
 
     /**
@@ -161,6 +251,34 @@ export class Renderer {
         return application.stage;
     }
 
+    /**
+     * Get the renderer view
+     * @returns {HTMLCanvasElement} Returns the canvas the PIXI renderer draws to, or null when running headless
+     */
+    static get view() {
+        return application == undefined ? null : application.view;
+    }
+
+    /**
+     * Get the width of the renderer in normalized coordinates; the width of the on screen coordinate system
+     * @returns {Number} Returns the normalized width, or the normalized height when running headless
+     */
+    static get width() {
+        if (application == undefined) {
+            return NORMALIZED_RENDER_HEIGHT;
+        }
+
+        return application.renderer.width * NORMALIZED_RENDER_HEIGHT / application.renderer.height;
+    }
+
+    /**
+     * Get the height of the renderer in normalized coordinates; the height of the on screen coordinate system
+     * @returns {Number} Returns the normalized height
+     */
+    static get height() {
+        return NORMALIZED_RENDER_HEIGHT;
+    }
+
     /**
      * Get the time between the last frame and this one in ms
      * @returns {Number} Returns the delta ms
@@ -171,19 +289,32 @@ export class Renderer {
     }
 }
 
-// Define static ticker property of Renderer; interactable
+// Define static ticker property of Renderer; interactable. Created on first access, so importing the engine doesn't require PIXI.
 Object.defineProperty(Renderer, 'ticker', {
-    value: new PIXI.Ticker(),
-    writable: false,
+    get() {
+        if (Renderer._ticker == null) {
+            Renderer._ticker = new PIXI.Ticker();
+        }
+
+        return Renderer._ticker;
+    },
     enumerable: true,
     configurable: false,
 });
 
-// Define static scene property of Renderer; interactable
+// Define static internal ticker property of Renderer; not intended for interaction
+Object.defineProperty(Renderer, '_ticker', {
+    value: null,
+    writable: true,
+    enumerable: false,
+    configurable: false,
+});
+
+// Define static scene property of Renderer; interactable. The scene on top of the stack, the one being updated
 Object.defineProperty(Renderer, 'scene', {
     
     get() {
-        return Renderer._scene;
+        return Renderer._scenes[Renderer._scenes.length - 1] || null;
     },
 
     set(newScene) {
@@ -191,8 +322,82 @@ Object.defineProperty(Renderer, 'scene', {
     },
 });
 
-// Define static internal scene property of Renderer; not intended for interaction
-Object.defineProperty(Renderer, '_scene', {
+// Define static scenes property of Renderer; the scene stack, bottom first. @see Renderer.pushScene
+Object.defineProperty(Renderer, 'scenes', {
+    get() {
+        return Renderer._scenes.slice();
+    },
+    enumerable: true,
+    configurable: false,
+});
+
+// Define static internal scene stack property of Renderer; not intended for interaction
+Object.defineProperty(Renderer, '_scenes', {
+    value: [],
+    writable: false,
+    enumerable: false,
+    configurable: false,
+});
+
+// Define static internal world and overlays properties of Renderer; the containers of the scenes seen through the cameras and of the overlays pushed over
+// them. Built with the stage, not intended for interaction
+for (const property of ['_world', '_overlays']) {
+    Object.defineProperty(Renderer, property, {
+        value: null,
+        writable: true,
+        enumerable: false,
+        configurable: false,
+    });
+}
+
+// Define static internal mask property of Renderer; clips the world container to each camera viewport. Created in @see Renderer.init
+Object.defineProperty(Renderer, '_mask', {
+    value: null,
+    writable: true,
+    enumerable: false,
+    configurable: false,
+});
+
+// Define static loading scene property of Renderer; interactable. Shown on top of the stack while a scene's missing assets load, and passed their
+// progress through its onProgress hook. Its own assets are loaded when it's set, and stay loaded while it is. Set after @see Renderer.init
+Object.defineProperty(Renderer, 'loadingScene', {
+
+    get() {
+        return Renderer._loadingScene;
+    },
+
+    set(newScene) {
+        if (newScene != null) {
+            AssetLoader.retain(manifestOf(newScene)).load(manifestOf(newScene));
+        }
+
+        if (Renderer._loadingScene != null) {
+            AssetLoader.release(manifestOf(Renderer._loadingScene));
+        }
+
+        Renderer._loadingScene = newScene;
+    },
+});
+
+// Define static internal loading scene property of Renderer; not intended for interaction
+Object.defineProperty(Renderer, '_loadingScene', {
+    value: null,
+    writable: true,
+    enumerable: false,
+    configurable: false,
+});
+
+// Define static internal generation property of Renderer; counts the times the scene stack has been replaced, so callbacks of scenes abandoned while
+// their assets loaded can tell. @see Renderer.loadScene
+Object.defineProperty(Renderer, '_generation', {
+    value: 0,
+    writable: true,
+    enumerable: false,
+    configurable: false,
+});
+
+// Define static internal transition property of Renderer; the running transition, or null. @see Renderer.transitionTo
+Object.defineProperty(Renderer, '_transition', {
     value: null,
     writable: true,
     enumerable: false,
@@ -207,587 +412,3190 @@ Object.defineProperty(Renderer, '_fullscreen', {
     configurable: false,
 });
 
+/**
+ * Exits and destroys every scene in the stack, from the top down, and enters a new one in their place; @see Renderer.loadScene
+ * @param {Scene} newScene The scene to enter
+ * @param {Function<Scene>} onLoad The function to call once the scene has been set up. Optional.
+ */
+function replaceScenes(newScene, onLoad) {
+
+    // Scenes waiting on their assets behind the loading scene are abandoned; @see enterScene
+    Renderer._generation++;
 
-export class AssetLoader {
+    // Reference the new scene's assets before the old scenes release theirs, so the assets they share stay loaded
+    AssetLoader.retain(manifestOf(newScene));
 
-    /**
-     * @param {String} name 
-     * @param {String} location 
-     */
-    static addAsset(name, location) {
+    // If there are scenes loaded, perform the removal process on each, from the top of the stack down
+    if (Renderer._scenes.length > 0) {
+        while (Renderer._scenes.length > 0) {
+            const oldScene = Renderer._scenes.pop();
 
-        application.loader.add(name, location);
+            removeFunctions(oldScene);
+            callHook(oldScene, 'onExit');
+            destroyScene(oldScene);
+        }
 
-        return this;
+        // Reset the cameras; position, zoom, rotation, follow target, bounds and shake
+        for (const camera of Renderer.cameras) {
+            camera.reset();
+        }
     }
+
+    enterScene(newScene, onLoad);
 }
 
-export class TickerFunction {
+/**
+ * Puts a scene on top of the stack once its assets have loaded, showing the loading scene in the meantime if there is one and any are missing
+ * @param {Scene} newScene The scene to enter
+ * @param {Function<Scene>} onLoad The function to call once the scene has been set up. Optional.
+ */
+function enterScene(newScene, onLoad) {
+    const loadingScene = Renderer.loadingScene;
 
-    /**
-     * A function that will be run by the ticker when its scene is loaded
-     * @param {Function} func The function to be run
-     * @param {*} context The context of the function; helps with removal, usually this or the scene it resides in. Defaults to null.
-     * @param {Number} priority The priority of the function; functions are executed in descending order based on priority. Defaults to 0.
-     */
-    constructor(func, context, priority) {
-        this.func = func;
-        this.context = context;
-        this.priority = priority;
+    if (loadingScene == null || loadingScene == newScene || AssetLoader.isLoaded(manifestOf(newScene))) {
+        setUpScene(newScene, onLoad);
+        return;
     }
-}
 
-const DEBUG_OUTLINE_FUNCTION = new TickerFunction(() => {
-
-    DEBUG_OUTLINE_FUNCTION.graphics.clear();
+    // Show the loading scene on top of the stack, passing it the progress of the new scene's assets, and replace it once they've loaded
+    const generation = Renderer._generation;
 
-    const bodies = Physics.getBodies();
+    AssetLoader.retain(manifestOf(loadingScene));
+    setUpScene(loadingScene);
 
-    for (const body of bodies) {
-        DEBUG_OUTLINE_FUNCTION.graphics.lineStyle(1, 0x00ff00, 1, 0);
-        const screenCords = Camera.toScreenCoordinates(body.body.min);
-        DEBUG_OUTLINE_FUNCTION.graphics.drawRect(screenCords.x, screenCords.y, body.body.width, body.body.height);
-    }
-}, this, -10);
+    AssetLoader.load(manifestOf(newScene), progress => callHook(loadingScene, 'onProgress', progress), () => {
 
-DEBUG_OUTLINE_FUNCTION.graphics = new PIXI.Graphics();
+        // If the stack was replaced, or the loading scene popped, while the assets loaded, the new scene was abandoned; it never entered, so only its
+        // reference to its assets has to go
+        if (generation != Renderer._generation || !Renderer._scenes.includes(loadingScene)) {
+            AssetLoader.release(manifestOf(newScene));
+            return;
+        }
 
-export class Scene {
+        removeFunctions(loadingScene);
+        callHook(loadingScene, 'onExit');
+        Renderer._scenes.splice(Renderer._scenes.indexOf(loadingScene), 1);
+        destroyScene(loadingScene);
 
-    /**
-     * A scene to render to the application. The convention I've established for this is to construct a scene and open an anonymous function as the
-     * receipt for the "setup" parameter and write all of the logic inside of it. It looks nice and keeps scenes neatly organized and separated
-     * from each other.
-     * @param {Function<Resources, PIXI.Container>} setup The setup function for the scene; is called when loading the scene
-     */
-    constructor(setup) {
+        setUpScene(newScene, onLoad);
+    });
+}
 
-        // Setup function
-        this.setup = setup
+/**
+ * Puts a scene on top of the stack and sets it up; its collision layers and world are made active before its setup function runs, and its ticker
+ * functions are added once it's built
+ * @param {Scene} newScene The scene to set up
+ * @param {Function<Scene>} onLoad The function to call once the scene has been set up. Optional.
+ */
+function setUpScene(newScene, onLoad) {
 
-        // Define readonly function array property of each scene
-        Object.defineProperty(this, 'functions', {
-            value: [],
-            writable: false,
-            enumerable: true,
-            configurable: false,
-        });
+    // Create new container object to pass to the new scene setup function; the world container, transformed by the camera unless it's an overlay
+    const container = new PIXI.Container();
+    newScene.container = container;
 
-        // Options object
-        this.options = {};
-    }
-}
+    // Put the scene on top of the stack, and set the current stage view to the stack's root container
+    Renderer._scenes.push(newScene);
+    buildStage();
 
-// Define default scene options constant
-Object.defineProperty(Scene, 'DEFAULT_OPTIONS', {
-    value: {
-        backgroundColor: 0x999999,
-        debug: false,
-    },
-    writable: false,
-    enumerable: false,
-    configurable: false,
-});
+    // Scenes pushed over another are overlays; drawn in screen space, and leaving the cameras and background to the scene at the bottom
+    const overlay = Renderer._scenes.length > 1;
 
-export class Vector2 {
+    // Declare the new scene's named collision layers and make its world active before its setup function runs, so its physbodies can use them
+    Physics.defineLayers(newScene.options.layers || Scene.DEFAULT_OPTIONS.layers);
+    Physics.world = newScene.world;
 
-    /**
-     * Creates a 2d vector
-     * @param {Number} x x-coordinate of vector
-     * @param {Number} y y-coordinate of vector
-     */
-    constructor(x, y) {
-        this.x = x;
-        this.y = y;
-    }
+    // Load the scene's missing assets, along with any added to every scene, to access game assets; resources
+    const generation = Renderer._generation;
 
-    /**
-     * Clones this vector
-     */
-    clone() {
-        return Object.assign({}, this);
-    }
+    AssetLoader.load(manifestOf(newScene), null, resources => {
 
-    /**
-     * Using two vectors as coordinates, calculates the slope between them
-     * @param {*} vector1 First coordinate of slope calculation
-     * @param {*} vector2 Second coordinate of slope calculation
-     * @returns {Number} Returns the slope of the two vectors
-     */
-    static slope(vector1, vector2) {
-        if (vector2.x > vector1.x) {
-            return (vector2.y - vector1.y) / (vector2.x - vector1.x);
-        } else {
-            return (vector1.y - vector2.y) / (vector1.x - vector2.x);
+        // If the stack was replaced, or the scene popped, while its assets loaded, it has already been exited and destroyed; it mustn't be built
+        if (generation != Renderer._generation || !Renderer._scenes.includes(newScene)) {
+            return;
         }
-    }
-}
 
-// Define zero vector constant
-Object.defineProperty(Vector2, 'zero', {
-    get() {
-        return new Vector2(0, 0);
-    },
-});
+        // Call the scene setup method, passing the game assets and new container; builds the scene
+        newScene.setup(resources, container);
 
-export class AABB {
+        /**
+         * TODO as the Scene options list grows, handle them here
+         */
 
-    /**
-     * Makes an axis-aligned bounding-box. A rectangle residing on the two prime axes.
-     * @param {Vector2} min The minimal vector of the AABB; smallest x and y coordinates
-     * @param {Vector2} max The maximal vector of the AABB; largest x and y coordinates
-     */
-    constructor(min, max) {
+        // Autofill options with defaults if any are missing
+        const options = Object.assign({}, Scene.DEFAULT_OPTIONS, newScene.options);
 
-        // 2D vector positions
-        this.min = new Vector2(min.x, min.y);
-        this.max = new Vector2(max.x, max.y);
+        // Set the background of the scene
+        if (!overlay) {
+            application.renderer.backgroundColor = options.backgroundColor;
+        }
 
-        // Calculate height and width off of coordinate difference
-        this.width = this.max.x - this.min.x;
-        this.height = this.max.y - this.min.y;
-    }
+        /**
+         * If debug is enabled in the options, turn on the debug functions. For now, this is limited to:
+         * - Physbody collision bounding-box outline
+         */
+        if (options.debug) {
+            if (DEBUG_OUTLINE_FUNCTION.graphics == null) {
+                DEBUG_OUTLINE_FUNCTION.graphics = new PIXI.Graphics();
+            }
 
+            newScene.functions.push(DEBUG_OUTLINE_FUNCTION);
+            container.addChild(DEBUG_OUTLINE_FUNCTION.graphics);
+        }
 
-    /**
-     * @returns {Number} Returns the x-coordinate of this AABB
-     */
-    get x() {
+        // Sort all the children in the container by its z-index. Z-index on its own doesn't seem to do anything, but sorting this works for render priority
+        container.children.sort((a, b) => {
+            return a.zIndex - b.zIndex;
+        });
+
+        // Update the camera every frame, after the scene's own functions have moved things
+        if (!overlay) {
+            newScene.functions.push(CAMERA_FUNCTION);
+        }
+
+        addFunctions(newScene);
+        callHook(newScene, 'onEnter');
+
+        if (onLoad != undefined) {
+            onLoad(newScene);
+        }
+    });
+}
+
+/**
+ * Tears down a scene that has been removed from the stack; the scene will make new ticker functions, parallax layers, physbodies and listeners if it's
+ * loaded again, and simulate from the first step
+ * @param {Scene} scene The scene to destroy
+ */
+function destroyScene(scene) {
+    callHook(scene, 'onDestroy');
+
+    scene.functions.length = 0;
+    scene.parallaxLayers.length = 0;
+    scene.world.reset();
+
+    // Unload the scene's assets that no other scene references
+    AssetLoader.release(manifestOf(scene));
+}
+
+/**
+ * Adds the ticker functions of a scene to the game engine ticker
+ * @param {Scene} scene The scene whose functions to add
+ */
+function addFunctions(scene) {
+    for (const tickerFunc of scene.functions) {
+        Renderer.ticker.add(tickerFunc.func, tickerFunc.context, tickerFunc.priority);
+    }
+}
+
+/**
+ * Removes the ticker functions of a scene from the game engine ticker; they're kept by the scene, so they can be added back
+ * @param {Scene} scene The scene whose functions to remove
+ */
+function removeFunctions(scene) {
+    for (const tickerFunc of scene.functions) {
+        Renderer.ticker.remove(tickerFunc.func, tickerFunc.context);
+    }
+}
+
+/**
+ * Builds the stage from the scene stack; the world container of every scene, bottom first, under one root clipped to each camera viewport by the mask
+ */
+function buildStage() {
+    const world = new PIXI.Container();
+    const overlays = new PIXI.Container();
+
+    // The scene at the bottom is seen through the cameras, the ones pushed over it are overlays
+    Renderer._scenes.forEach((scene, i) => (i == 0 ? world : overlays).addChild(scene.container));
+
+    world.mask = Renderer._mask;
+
+    // The root container of the stage holds the world, its mask and the overlays on top; scaled to the normalized render height
+    const stage = new PIXI.Container();
+    stage.addChild(world, Renderer._mask, overlays);
+
+    Renderer._world = world;
+    Renderer._overlays = overlays;
+    application.stage = stage;
+}
+
+/**
+ * Renders the scene at the bottom of the stack through each camera, to its viewport, then the overlays pushed over it once, in screen space
+ * @param {PIXI.RenderTexture} renderTexture The texture to render to. Defaults to the screen.
+ */
+function renderScenes(renderTexture) {
+    const scene = Renderer._scenes[0];
+
+    if (scene == undefined) {
+        return;
+    }
+
+    Renderer._overlays.visible = false;
+
+    for (const camera of Renderer.cameras) {
+
+        // Transform and clip the world to the camera, and move the parallax layers with respect to it
+        camera.apply(scene.container, Renderer._mask);
+
+        for (const layer of scene.parallaxLayers) {
+            layer.update(camera);
+        }
+
+        application.renderer.render(application.stage, renderTexture);
+    }
+
+    if (Renderer._scenes.length > 1) {
+        Renderer._world.visible = false;
+        Renderer._overlays.visible = true;
+
+        application.renderer.render(application.stage, renderTexture);
+
+        Renderer._world.visible = true;
+    }
+}
+
+/**
+ * Calls a lifecycle hook of a scene, if it has one
+ * @param {Scene} scene The scene
+ * @param {String} hook The name of the hook; onEnter, onExit, onPause, onResume, onDestroy or onProgress
+ * @param  {...any} args The arguments to call the hook with
+ */
+function callHook(scene, hook, ...args) {
+    if (scene[hook] != null) {
+        scene[hook](...args);
+    }
+}
+
+/**
+ * Gets the asset manifest of a scene
+ * @param {Scene} scene The scene
+ * @returns {*} Returns the object mapping the name of each of the scene's assets to its location; empty if it has none
+ */
+function manifestOf(scene) {
+    return scene.options.assets || Scene.DEFAULT_OPTIONS.assets;
+}
+
+
+export class AssetLoader {
+
+    /**
+     * Adds a game asset to the loader for every scene; it isn't reference counted, so it stays loaded unless it's unloaded explicitly. @see AssetLoader.unload
+     * @param {String} name The name of the game asset
+     * @param {String} location The (relative or absolute) location of the game asset
+     * @returns {AssetLoader} Returns self for chaining
+     */
+    static addAsset(name, location) {
+
+        application.loader.add(name, location);
+
+        return this;
+    }
+
+    /**
+     * Loads the assets of a manifest that aren't loaded yet, along with any that have been added; waits for the loader if it's already running
+     * @param {*} manifest An object mapping the name of each asset to its location; usually the assets option of a scene
+     * @param {Function<Number>} onProgress The function to call with the progress of the load, from 0 to 1, as each asset loads. Optional.
+     * @param {Function<*>} onComplete The function to call with every loaded game asset once they've loaded. Optional.
+     * @returns {AssetLoader} Returns self for chaining
+     */
+    static load(manifest, onProgress, onComplete) {
+        const loader = application.loader;
+
+        // Assets can't be added while the loader is running
+        if (loader.loading) {
+            loader.onComplete.once(() => AssetLoader.load(manifest, onProgress, onComplete));
+            return this;
+        }
+
+        for (const name in manifest) {
+            if (loader.resources[name] == undefined) {
+                loader.add(name, manifest[name]);
+            }
+        }
+
+        // Report progress as each asset loads, and completion even when there was nothing to load
+        let progress = 0;
+        const progressBinding = onProgress == undefined ? null : loader.onProgress.add(() => onProgress(progress = loader.progress / 100));
+
+        loader.load((_, resources) => {
+            if (progressBinding != null) {
+                progressBinding.detach();
+
+                if (progress < 1) {
+                    onProgress(1);
+                }
+            }
+
+            if (onComplete != undefined) {
+                onComplete(resources);
+            }
+        });
+
+        return this;
+    }
+
+    /**
+     * If every asset of a manifest has loaded
+     * @param {*} manifest An object mapping the name of each asset to its location
+     * @returns {Boolean} Returns whether or not the manifest's assets have all loaded
+     */
+    static isLoaded(manifest) {
+        const resources = application.loader.resources;
+
+        return Object.keys(manifest).every(name => resources[name] != undefined && resources[name].isComplete);
+    }
+
+    /**
+     * References the assets of a manifest, so they stay loaded until every reference has been released; done for each scene while it's loaded
+     * @param {*} manifest An object mapping the name of each asset to its location
+     * @returns {AssetLoader} Returns self for chaining
+     */
+    static retain(manifest) {
+        for (const name in manifest) {
+            AssetLoader._references.set(name, AssetLoader.getReferenceCount(name) + 1);
+        }
+
+        return this;
+    }
+
+    /**
+     * Releases references to the assets of a manifest, unloading the ones no longer referenced. @see AssetLoader.retain
+     * @param {*} manifest An object mapping the name of each asset to its location
+     * @returns {AssetLoader} Returns self for chaining
+     */
+    static release(manifest) {
+        for (const name in manifest) {
+            const count = AssetLoader.getReferenceCount(name) - 1;
+
+            if (count > 0) {
+                AssetLoader._references.set(name, count);
+            } else {
+                AssetLoader._references.delete(name);
+                AssetLoader.unload(name);
+            }
+        }
+
+        return this;
+    }
+
+    /**
+     * Gets the number of references to an asset
+     * @param {String} name The name of the game asset
+     * @returns {Number} Returns the number of loaded scenes, or other holders, referencing the asset
+     */
+    static getReferenceCount(name) {
+        return AssetLoader._references.get(name) || 0;
+    }
+
+    /**
+     * Unloads a game asset, destroying its textures and removing it from the loader, so it's loaded again the next time it's needed. Assets that
+     * haven't finished loading are unloaded once they have, unless they've been referenced again by then.
+     * @param {String} name The name of the game asset
+     * @returns {AssetLoader} Returns self for chaining
+     */
+    static unload(name) {
+        const loader = application.loader;
+        const resource = loader.resources[name];
+
+        if (resource == undefined) {
+            return this;
+        }
+
+        if (!resource.isComplete) {
+            loader.onComplete.once(() => {
+                if (AssetLoader.getReferenceCount(name) == 0) {
+                    AssetLoader.unload(name);
+                }
+            });
+
+            return this;
+        }
+
+        if (resource.spritesheet != undefined) {
+            resource.spritesheet.destroy(true);
+
+            // The spritesheet's image is loaded as a child resource; left behind, it stops the spritesheet being parsed when it's loaded again
+            delete loader.resources[`${name}_image`];
+        } else if (resource.texture != undefined) {
+            resource.texture.destroy(true);
+        }
+
+        delete loader.resources[name];
+
+        return this;
+    }
+}
+
+// Define static internal references property of AssetLoader; map of asset names to the number of references to them. @see AssetLoader.retain
+Object.defineProperty(AssetLoader, '_references', {
+    value: new Map(),
+    writable: false,
+    enumerable: false,
+    configurable: false,
+});
+
+export class TickerFunction {
+
+    /**
+     * A function that will be run by the ticker when its scene is loaded
+     * @param {Function} func The function to be run
+     * @param {*} context The context of the function; helps with removal, usually this or the scene it resides in. Defaults to null.
+     * @param {Number} priority The priority of the function; functions are executed in descending order based on priority. Defaults to 0.
+     */
+    constructor(func, context, priority) {
+        this.func = func;
+        this.context = context;
+        this.priority = priority;
+    }
+}
+
+const DEBUG_OUTLINE_FUNCTION = new TickerFunction(() => {
+
+    DEBUG_OUTLINE_FUNCTION.graphics.clear();
+
+    const bodies = Physics.getBodies();
+
+    // Outlines are drawn in the world container, so the camera transform applies to them too
+    for (const body of bodies) {
+        DEBUG_OUTLINE_FUNCTION.graphics.lineStyle(1, 0x00ff00, 1, 0);
+        DEBUG_OUTLINE_FUNCTION.graphics.drawRect(body.body.x, body.body.y, body.body.width, body.body.height);
+    }
+}, this, -10);
+
+// Graphics the debug outlines are drawn to; created when a debug scene is first loaded
+DEBUG_OUTLINE_FUNCTION.graphics = null;
+
+const CAMERA_FUNCTION = new TickerFunction(() => {
+    for (const camera of Renderer.cameras) {
+        camera.update(Renderer.ticker.deltaMS / 1000);
+    }
+}, this, -5);
+
+export class Scene {
+
+    /**
+     * A scene to render to the application. The convention I've established for this is to construct a scene and open an anonymous function as the
+     * receipt for the "setup" parameter and write all of the logic inside of it. It looks nice and keeps scenes neatly organized and separated
+     * from each other.
+     * @param {Function<Resources, PIXI.Container>} setup The setup function for the scene; is called when loading the scene
+     */
+    constructor(setup) {
+
+        // Setup function
+        this.setup = setup
+
+        // Define readonly function array property of each scene
+        Object.defineProperty(this, 'functions', {
+            value: [],
+            writable: false,
+            enumerable: true,
+            configurable: false,
+        });
+
+        // Options object
+        this.options = {};
+
+        // Physics world owned by this scene; made the active world while the scene is loaded
+        this.world = new PhysicsWorld();
+
+        // Parallax layers of this scene; @see Scene.addParallaxLayer
+        this.parallaxLayers = [];
+
+        // The world container of this scene; set by @see Renderer.loadScene before the setup function is called
+        this.container = null;
+
+        /**
+         * Lifecycle hooks of this scene; functions called with the scene as this, or null:
+         * - onEnter, once the scene has been set up, whether it was loaded or pushed
+         * - onExit, when the scene is replaced or popped off the stack
+         * - onPause, when another scene is pushed on top of it
+         * - onResume, when the scene on top of it is popped, instead of setting it up again
+         * - onDestroy, after exiting, before its ticker functions, parallax layers and world are reset
+         * - onProgress, while it's the loading scene, with the progress of the assets being loaded, from 0 to 1; @see Renderer.loadingScene
+         */
+        this.onEnter = null;
+        this.onExit = null;
+        this.onPause = null;
+        this.onResume = null;
+        this.onDestroy = null;
+        this.onProgress = null;
+    }
+
+    /**
+     * Adds a parallax layer to this scene; a background (or foreground) that scrolls at a fraction of the camera speed. For use in the setup function.
+     * Layers are added to the scene container, so they sort with the rest of its children by z-index.
+     * @param {PIXI.Texture} texture The texture of the layer
+     * @param {*} options The layer options. @see ParallaxLayer
+     * @returns {ParallaxLayer} Returns the new parallax layer
+     */
+    addParallaxLayer(texture, options) {
+        const layer = new ParallaxLayer(texture, options);
+
+        this.parallaxLayers.push(layer);
+        this.container.addChild(layer.sprite);
+
+        return layer;
+    }
+}
+
+// Define default scene options constant
+Object.defineProperty(Scene, 'DEFAULT_OPTIONS', {
+    value: {
+        name: null,
+        backgroundColor: 0x999999,
+        debug: false,
+        layers: [],
+        assets: {},
+    },
+    writable: false,
+    enumerable: false,
+    configurable: false,
+});
+
+export class Transition {
+
+    /**
+     * An animated switch from the current scene to another; @see Renderer.transitionTo. The effect draws over the screen as the transition progresses,
+     * and the scenes are swapped at the point it chose, once the new scene's assets have loaded; until then, the transition holds there. While
+     * @see Physics.stepInput is on, it's timed by the active world's physics steps instead of the clock, and the old scene is frozen at the swap point,
+     * so the scenes are swapped at the same step when a recording is replayed.
+     * @param {Scene} scene The scene to switch to
+     * @param {*} options The transition options; effect, the name of a defined effect or the effect itself, duration in seconds, easing, the name of
+     * one of @see Transition.EASINGS or a function, and color, of the effects that draw one
+     */
+    constructor(scene, options) {
+
+        // Autofill options with defaults if any are missing
+        options = Object.assign({}, Transition.DEFAULT_OPTIONS, options);
+
+        this.scene = scene;
+        this.effect = typeof options.effect == 'string' ? Transition._effects.get(options.effect) : options.effect;
+        this.easing = typeof options.easing == 'string' ? Transition.EASINGS[options.easing] : options.easing;
+        this.duration = options.duration;
+        this.color = options.color;
+
+        if (this.effect == undefined) {
+            throw new Error(`No transition effect named '${options.effect}'`);
+        }
+
+        if (this.easing == undefined) {
+            throw new Error(`No easing named '${options.easing}'`);
+        }
+
+        // Time the transition has been running for, in seconds; held at the swap point while the new scene's assets load
+        this.elapsed = 0;
+
+        // Whether or not the new scene's assets have loaded, and whether or not it has replaced the old scene
+        this.ready = false;
+        this.swapped = false;
+
+        // Layer drawn over the scenes; the graphics the effect draws to, and a snapshot of the old scene taken when they're swapped, hidden unless the
+        // effect shows it
+        this.layer = new PIXI.Container();
+        this.overlay = new PIXI.Graphics();
+        this.snapshot = null;
+        this.layer.addChild(this.overlay);
+
+        // World whose physics steps time the transition, if they do; @see Transition#step
+        this.world = null;
+        this.onStep = dt => this.step(dt);
+
+        if (Physics.stepInput) {
+            this.world = Physics.world.onStep(this.onStep);
+        }
+
+        // Block input, so neither scene reacts to it mid transition
+        blockInput();
+
+        // Load the new scene's assets while the old scene keeps running
+        AssetLoader.load(manifestOf(scene), null, () => this.ready = true);
+
+        application.ticker.add(this.update, this);
+    }
+
+    /**
+     * Get the width of the screen in normalized coordinates, for effects
+     * @returns {Number} Returns @see Renderer.width
+     */
+    get width() {
+        return Renderer.width;
+    }
+
+    /**
+     * Get the height of the screen in normalized coordinates, for effects
+     * @returns {Number} Returns @see Renderer.height
+     */
+    get height() {
+        return Renderer.height;
+    }
+
+    /**
+     * Advances the transition and redraws its effect; run by the PIXI ticker every frame, so it runs while scenes load
+     */
+    update() {
+
+        // Time from the clock, unless the transition is timed by physics steps
+        const dt = this.world == null ? application.ticker.deltaMS / 1000 : 0;
+        const time = this.duration > 0 ? Math.min((this.elapsed + dt) / this.duration, 1) : 1;
+        let progress = this.easing(time);
+
+        if (!this.swapped && progress >= this.effect.swapAt) {
+
+            // Hold at the swap point until the new scene can be set up
+            if (!this.ready) {
+                this.draw(this.effect.swapAt);
+                return;
+            }
+
+            this.swap();
+        }
+
+        this.elapsed = time * this.duration;
+        this.draw(progress);
+
+        if (time >= 1) {
+            this.finish();
+        }
+    }
+
+    /**
+     * Advances the transition by a physics step, while it's timed by them. The old scene is frozen once the swap point is reached; its functions are
+     * taken off the ticker and the step in progress is its last, so it takes the same number of steps however long the new scene's assets take to load.
+     * @param {Number} dt The time step, in seconds
+     */
+    step(dt) {
+        this.elapsed += dt;
+
+        const time = this.duration > 0 ? Math.min(this.elapsed / this.duration, 1) : 1;
+
+        if (!this.swapped && this.easing(time) >= this.effect.swapAt) {
+            removeFunctions(Renderer.scene);
+
+            // Leave the world's accumulator with exactly the step in progress, so it's left with nothing once it's taken off
+            this.world.accumulator = dt;
+        }
+    }
+
+    /**
+     * Redraws the effect
+     * @param {Number} progress The eased progress of the transition, from 0 to 1
+     */
+    draw(progress) {
+        this.overlay.clear();
+        this.effect.draw(this, progress);
+    }
+
+    /**
+     * Snapshots the old scene and replaces it with the new one
+     */
+    swap() {
+        const texture = PIXI.RenderTexture.create({ width: application.renderer.width, height: application.renderer.height });
+        const scalar = application.renderer.height / NORMALIZED_RENDER_HEIGHT;
+
+        // The render texture isn't cleared to the background color like the screen, so the snapshot gets its own
+        const background = new PIXI.Graphics();
+        background.beginFill(application.renderer.backgroundColor);
+        background.drawRect(0, 0, this.width, this.height);
+        background.endFill();
+
+        renderScenes(texture);
+
+        const sprite = new PIXI.Sprite(texture);
+        sprite.scale.set(1 / scalar, 1 / scalar);
+
+        this.snapshot = new PIXI.Container();
+        this.snapshot.addChild(background, sprite);
+        this.snapshot.visible = false;
+        this.layer.addChildAt(this.snapshot, 0);
+
+        // Swapped without stopping and restarting the game engine ticker like @see Renderer.loadScene does, which drops the frame in progress and resets
+        // the ticker's clock; the new scene's assets have already loaded, so it's set up right away, under the effect, and the next frame carries on
+        replaceScenes(this.scene);
+        this.swapped = true;
+
+        // Carry on timing the transition by the new scene's steps
+        if (this.world != null) {
+            this.world = Physics.world.onStep(this.onStep);
+        }
+    }
+
+    /**
+     * Removes the transition once it's over, and unblocks input
+     */
+    finish() {
+        application.ticker.remove(this.update, this);
+
+        if (this.world != null) {
+            this.world.offStep(this.onStep);
+        }
+
+        if (this.snapshot != null) {
+            this.snapshot.destroy({ children: true, texture: true, baseTexture: true });
+        }
+
+        Renderer._transition = null;
+        unblockInput();
+    }
+
+    /**
+     * Defines a transition effect, or replaces the one with the same name
+     * @param {String} name The name of the effect; @see Renderer.transitionTo
+     * @param {*} effect The effect; swapAt, the progress from 0 to 1 at which the scenes are swapped, and draw, a function called every frame with the
+     * transition and its eased progress, drawing to its overlay graphics and optionally showing its snapshot of the old scene
+     */
+    static define(name, effect) {
+        Transition._effects.set(name, effect);
+    }
+}
+
+// Define default transition options constant
+Object.defineProperty(Transition, 'DEFAULT_OPTIONS', {
+    value: {
+        effect: 'fade',
+        duration: 1,
+        easing: 'easeInOut',
+        color: 0x000000,
+    },
+    writable: false,
+    enumerable: false,
+    configurable: false,
+});
+
+// Define easing functions constant; each maps linear time from 0 to 1 to eased progress from 0 to 1
+Object.defineProperty(Transition, 'EASINGS', {
+    value: Object.freeze({
+        linear: t => t,
+        easeIn: t => t * t,
+        easeOut: t => t * (2 - t),
+        easeInOut: t => t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t,
+    }),
+    writable: false,
+    enumerable: false,
+    configurable: false,
+});
+
+// Define static internal effects property of Transition; map of effect names to effects. @see Transition.define
+Object.defineProperty(Transition, '_effects', {
+    value: new Map(),
+    writable: false,
+    enumerable: false,
+    configurable: false,
+});
+
+// Fade to color; the old scene fades out to the color, and the new scene fades in from it
+Transition.define('fade', {
+    swapAt: 0.5,
+    draw(transition, progress) {
+        transition.overlay.beginFill(transition.color, 1 - Math.abs(1 - 2 * progress));
+        transition.overlay.drawRect(0, 0, transition.width, transition.height);
+        transition.overlay.endFill();
+    },
+});
+
+// Crossfade; the new scene is swapped in as soon as it's ready, and the snapshot of the old scene fades out over it
+Transition.define('crossfade', {
+    swapAt: 0,
+    draw(transition, progress) {
+        if (transition.snapshot != null) {
+            transition.snapshot.visible = true;
+            transition.snapshot.alpha = 1 - progress;
+        }
+    },
+});
+
+// Wipe; the color sweeps across the old scene from left to right, then off the new scene the same way
+Transition.define('wipe', {
+    swapAt: 0.5,
+    draw(transition, progress) {
+        const left = progress < 0.5 ? 0 : transition.width * (2 * progress - 1);
+        const right = progress < 0.5 ? transition.width * 2 * progress : transition.width;
+
+        transition.overlay.beginFill(transition.color);
+        transition.overlay.drawRect(left, 0, right - left, transition.height);
+        transition.overlay.endFill();
+    },
+});
+
+// Circle iris; a circle closes in on the center of the old scene, then opens up on the new scene
+Transition.define('iris', {
+    swapAt: 0.5,
+    draw(transition, progress) {
+        const radius = Math.hypot(transition.width, transition.height) / 2 * Math.abs(1 - 2 * progress);
+
+        transition.overlay.beginFill(transition.color);
+        transition.overlay.drawRect(0, 0, transition.width, transition.height);
+        transition.overlay.beginHole();
+        transition.overlay.drawCircle(transition.width / 2, transition.height / 2, radius);
+        transition.overlay.endHole();
+        transition.overlay.endFill();
+    },
+});
+
+export class Vector2 {
+
+    /**
+     * Creates a 2d vector
+     * @param {Number} x x-coordinate of vector
+     * @param {Number} y y-coordinate of vector
+     */
+    constructor(x, y) {
+        this.x = x;
+        this.y = y;
+    }
+
+    /**
+     * Clones this vector
+     */
+    clone() {
+        return Object.assign({}, this);
+    }
+
+    /**
+     * Using two vectors as coordinates, calculates the slope between them
+     * @param {*} vector1 First coordinate of slope calculation
+     * @param {*} vector2 Second coordinate of slope calculation
+     * @returns {Number} Returns the slope of the two vectors
+     */
+    static slope(vector1, vector2) {
+        if (vector2.x > vector1.x) {
+            return (vector2.y - vector1.y) / (vector2.x - vector1.x);
+        } else {
+            return (vector1.y - vector2.y) / (vector1.x - vector2.x);
+        }
+    }
+}
+
+// Define zero vector constant
+Object.defineProperty(Vector2, 'zero', {
+    get() {
+        return new Vector2(0, 0);
+    },
+});
+
+export class AABB {
+
+    /**
+     * Makes an axis-aligned bounding-box. A rectangle residing on the two prime axes.
+     * @param {Vector2} min The minimal vector of the AABB; smallest x and y coordinates
+     * @param {Vector2} max The maximal vector of the AABB; largest x and y coordinates
+     */
+    constructor(min, max) {
+
+        // 2D vector positions
+        this.min = new Vector2(min.x, min.y);
+        this.max = new Vector2(max.x, max.y);
+
+        // Calculate height and width off of coordinate difference
+        this.width = this.max.x - this.min.x;
+        this.height = this.max.y - this.min.y;
+    }
+
+
+    /**
+     * @returns {Number} Returns the x-coordinate of this AABB
+     */
+    get x() {
+        return this.min.x;
+    }
+
+    /**
+     * @param {Number} x The new x-coordinate of the AABB
+     */
+    set x(x) {
+        this.min.x = x;
+    }
+
+    /**
+     * @returns {Number} Returns the y-coordinate of this AABB
+     */
+    get y() {
+        return this.min.y;
+    }
+
+    /**
+     * @param {Number} x The new y-coordinate of the AABB
+     */
+    set y(y) {
+        this.min.y = y;
+    }
+
+    /**
+     * @returns {Number} Returns the left-side (x) coordinate of this AABB
+     */
+    get left() {
         return this.min.x;
     }
 
     /**
-     * @param {Number} x The new x-coordinate of the AABB
+     * @returns {Number} Returns the right-side (x) coordinate of this AABB
+     */
+    get right() {
+        return this.min.x + this.width;
+    }
+
+    /**
+     * @returns {Number} Returns the top-side (y) coordinate of this AABB
+     */
+    get top() {
+        return this.min.y;
+    }
+
+    /**
+     * @returns {Number} Returns the bottom-side (y) coordinate of this AABB
+     */
+    get bottom() {
+        return this.min.y + this.height;
+    }
+
+    /**
+     * @returns {Vector2} Returns the midpoint of this AABB as a 2D vector
+     */
+    get mid() {
+        return new Vector2(this.min.x + this.width / 2, this.min.y + this.height / 2)
+    }
+
+    /**
+     * Clones this AABB
+     * @returns {AABB} Returns an exact clone of this AABB
+     */
+    clone() {
+        return new AABB(this.min.clone(), this.max.clone());
+    }
+}
+
+export class SpatialHash {
+
+    /**
+     * Creates a uniform spatial hash, a broadphase grid which buckets physbodies into square cells so that only bodies sharing a cell are handed
+     * to the narrowphase collision tests
+     * @param {Number} cellSize The width and height of a single cell in the grid. Defaults to 64.
+     */
+    constructor(cellSize = 64) {
+
+        // Size of each square cell
+        this.cellSize = cellSize;
+
+        // Map of cell keys to the set of physbodies residing in that cell
+        this.cells = new Map();
+
+        // Internal map of physbodies to the cell range they were last bucketed into; used to skip re-bucketing bodies that haven't left their cells
+        this._ranges = new Map();
+
+        // Number of candidate pairs handed to the narrowphase during the most recent physics step
+        this.candidatePairs = 0;
+    }
+
+    /**
+     * Calculates the range of cells covered by an AABB
+     * @param {AABB} aabb The AABB to calculate the cell range of
+     * @returns {*} Returns an object containing the minimum and maximum cell column and row covered by the AABB
+     */
+    range(aabb) {
+        return {
+            minX: Math.floor(aabb.left / this.cellSize),
+            minY: Math.floor(aabb.top / this.cellSize),
+            maxX: Math.floor(aabb.right / this.cellSize),
+            maxY: Math.floor(aabb.bottom / this.cellSize),
+        };
+    }
+
+    /**
+     * Adds a physbody to every cell its AABB covers
+     * @param {Physbody} body The physbody to add
+     */
+    insert(body) {
+        const range = this.range(body.body);
+
+        for (let cx = range.minX; cx <= range.maxX; cx++) {
+            for (let cy = range.minY; cy <= range.maxY; cy++) {
+                const key = cx + ',' + cy;
+
+                // Lazily create cells as bodies are bucketed into them
+                if (!this.cells.has(key)) {
+                    this.cells.set(key, new Set());
+                }
+
+                this.cells.get(key).add(body);
+            }
+        }
+
+        this._ranges.set(body, range);
+    }
+
+    /**
+     * Removes a physbody from every cell it was last bucketed into
+     * @param {Physbody} body The physbody to remove
+     */
+    remove(body) {
+        const range = this._ranges.get(body);
+
+        // If the physbody was never bucketed, there is nothing to remove
+        if (range == undefined) {
+            return;
+        }
+
+        for (let cx = range.minX; cx <= range.maxX; cx++) {
+            for (let cy = range.minY; cy <= range.maxY; cy++) {
+                const key = cx + ',' + cy;
+                const cell = this.cells.get(key);
+
+                cell.delete(body);
+
+                // Drop empty cells so the cell count reflects the occupied area of the world
+                if (cell.size == 0) {
+                    this.cells.delete(key);
+                }
+            }
+        }
+
+        this._ranges.delete(body);
+    }
+
+    /**
+     * Re-buckets a physbody that may have moved. Only touches the grid if the body has left the cell range it was last bucketed into.
+     * @param {Physbody} body The physbody to update
+     */
+    update(body) {
+        const last = this._ranges.get(body);
+        const range = this.range(body.body);
+
+        if (last != undefined
+            && last.minX == range.minX
+            && last.minY == range.minY
+            && last.maxX == range.maxX
+            && last.maxY == range.maxY) {
+            return;
+        }
+
+        this.remove(body);
+        this.insert(body);
+    }
+
+    /**
+     * Finds every physbody sharing at least one cell with the supplied AABB
+     * @param {AABB} aabb The AABB to query with
+     * @returns {Set<Physbody>} Returns the set of candidate physbodies; these may or may not actually overlap the AABB
+     */
+    query(aabb) {
+        const range = this.range(aabb);
+        const found = new Set();
+
+        for (let cx = range.minX; cx <= range.maxX; cx++) {
+            for (let cy = range.minY; cy <= range.maxY; cy++) {
+                const cell = this.cells.get(cx + ',' + cy);
+
+                if (cell != undefined) {
+                    cell.forEach(body => found.add(body));
+                }
+            }
+        }
+
+        return found;
+    }
+
+    /**
+     * Removes every physbody from the grid and resets the stats
+     */
+    clear() {
+        this.cells.clear();
+        this._ranges.clear();
+        this.candidatePairs = 0;
+    }
+
+    /**
+     * @returns {*} Returns the broadphase stats; the number of occupied cells, the number of bucketed bodies and the candidate pairs of the most recent physics step
+     */
+    get stats() {
+        return {
+            cells: this.cells.size,
+            bodies: this._ranges.size,
+            candidatePairs: this.candidatePairs,
+        };
+    }
+}
+
+export class Random {
+
+    /**
+     * Seeds the random number generator; the same seed always generates the same numbers, so gameplay using it replays exactly
+     * @param {Number} seed The seed; any 32-bit integer
+     */
+    static seed(seed) {
+        Random.state = seed >>> 0;
+    }
+
+    /**
+     * Generates the next random number; mulberry32
+     * @returns {Number} Returns a number from 0 (inclusive) to 1 (exclusive)
+     */
+    static next() {
+        Random.state = (Random.state + 0x6D2B79F5) >>> 0;
+
+        let t = Random.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Generates a random number in a range
+     * @param {Number} min The lower bound (inclusive)
+     * @param {Number} max The upper bound (exclusive)
+     * @returns {Number} Returns the random number
+     */
+    static range(min, max) {
+        return min + Random.next() * (max - min);
+    }
+}
+
+// Define static property as the state of the random number generator; seeded with the time by default
+Object.defineProperty(Random, 'state', {
+    value: Date.now() >>> 0,
+    writable: true,
+    enumerable: true,
+    configurable: false,
+});
+
+export class Material {
+
+    /**
+     * Creates a physical material; the surface properties of a physbody, reusable between any number of them
+     * @param {Number} friction How much the surface slows down physbodies sliding along it, from 0 (ice) up. Defaults to 0.
+     * @param {Number} restitution How bouncy the surface is, from 0 (no bounce) to 1 (no energy lost). Defaults to 0.
+     * @param {Number} drag Linear drag, or how much of its velocity a dynamic body made of this material loses per second. Defaults to 0.
+     */
+    constructor(friction = 0, restitution = 0, drag = 0) {
+        this.friction = friction;
+        this.restitution = restitution;
+        this.drag = drag;
+    }
+}
+
+// Define default material constant; frictionless, bounceless and dragless
+Object.defineProperty(Material, 'DEFAULT', {
+    value: Object.freeze(new Material()),
+    writable: false,
+    enumerable: false,
+    configurable: false,
+});
+
+export class Physbody {
+
+    /**
+     * Creates a physbody, or a physics entity with dimension, position, and capable of "defending" its position in space
+     * @param {Vector2} pos The top-left coordinate, or position, of this physbody
+     * @param {Number} width The width of this physbody
+     * @param {Number} height The height of this physbody
+     * @param {PIXI.Sprite} sprite The sprite component attached to this physbody
+     */
+    constructor(pos, width, height, sprite = createSprite('WHITE')) {
+
+        // Assign AABB
+        this.body = new AABB(pos, {x: pos.x + width, y: pos.y + height});
+
+        // Assign sprite
+        this.sprite = sprite;
+
+        // Collision layer bitmask this physbody belongs to, and bitmask of the layers it collides with; defaults to the default layer, colliding with everything
+        this.category = Physics.layer('default');
+        this.mask = 0xFFFFFFFF;
+
+        // Physical material of this physbody; friction, restitution and drag are read from it unless overridden on this physbody
+        this.material = Material.DEFAULT;
+
+        // Boolean for if this physbody is a one-way platform; dynamic bodies can pass through it from below and the sides, and only land on it from above
+        this.oneWay = false;
+
+        // The world this physbody is simulated in; add to the active world
+        this.world = null;
+        Physics.world.add(this);
+
+        // Internal collision event listeners of this physbody; @see Physbody.onCollisionEnter
+        this._collisionListeners = {
+            enter: [],
+            stay: [],
+            exit: [],
+        };
+    }
+
+    /**
+     * @returns {Number} Returns the x-coordinate of the physbody
+     */
+    get x() {
+        return this.body.x;
+    }
+    
+    /**
+     * @returns {Number} Returns the y-coordinate of the physbody
+     */
+    get y() {
+        return this.body.y;
+    }
+
+    /**
+     * @returns {Number} Returns the friction of this physbody; its own if set, otherwise its material's
+     */
+    get friction() {
+        return this._friction != undefined ? this._friction : this.material.friction;
+    }
+
+    /**
+     * @param {Number} friction The friction of this physbody, overriding its material's
+     */
+    set friction(friction) {
+        this._friction = friction;
+    }
+
+    /**
+     * @returns {Number} Returns the restitution of this physbody; its own if set, otherwise its material's
+     */
+    get restitution() {
+        return this._restitution != undefined ? this._restitution : this.material.restitution;
+    }
+
+    /**
+     * @param {Number} restitution The restitution of this physbody, overriding its material's
+     */
+    set restitution(restitution) {
+        this._restitution = restitution;
+    }
+
+    /**
+     * @returns {Number} Returns the linear drag of this physbody; its own if set, otherwise its material's
+     */
+    get drag() {
+        return this._drag != undefined ? this._drag : this.material.drag;
+    }
+
+    /**
+     * @param {Number} drag The linear drag of this physbody, overriding its material's
+     */
+    set drag(drag) {
+        this._drag = drag;
+    }
+
+    /**
+     * Sets the physical material of this physbody
+     * @param {Material} material The material to use
+     * @returns {Physbody} Returns self for chaining
+     */
+    setMaterial(material) {
+        this.material = material;
+        return this;
+    }
+
+    /**
+     * Sets the parent of this physbody to the container supplied
+     * @param {PIXI.Container} container The container to make this physbody's parent
+     * @returns {Physbody} Returns self for chaining or single line declarations
+     */
+    setParent(container) {
+        this.sprite.setParent(container);
+        return this;
+    }
+
+    /**
+     * Sets the collision layers this physbody belongs to
+     * @param  {...any} layers The names of layers declared in the scene options, or raw bitmasks
+     * @returns {Physbody} Returns self for chaining
+     */
+    setCategory(...layers) {
+        this.category = Physics.toBits(layers);
+        return this;
+    }
+
+    /**
+     * Sets the collision layers this physbody collides with
+     * @param  {...any} layers The names of layers declared in the scene options, or raw bitmasks
+     * @returns {Physbody} Returns self for chaining
+     */
+    setMask(...layers) {
+        this.mask = Physics.toBits(layers);
+        return this;
+    }
+
+    /**
+     * Makes this physbody a one-way platform, or a regular solid body again
+     * @param {Boolean} oneWay Whether or not this physbody is a one-way platform. Defaults to true.
+     * @returns {Physbody} Returns self for chaining
+     */
+    setOneWay(oneWay = true) {
+        this.oneWay = oneWay;
+        return this;
+    }
+
+    /**
+     * Subscribes to this physbody starting to collide with another physbody. Fires after the physics step has resolved the collision.
+     * @param {Function<CollisionEvent>} callback The function to call with the collision event. @see CollisionHandler.emitCollision
+     * @returns {Physbody} Returns self for chaining
+     */
+    onCollisionEnter(callback) {
+        this._collisionListeners.enter.push(callback);
+        return this;
+    }
+
+    /**
+     * Subscribes to this physbody still colliding with a physbody it was already colliding with last physics step
+     * @param {Function<CollisionEvent>} callback The function to call with the collision event. @see CollisionHandler.emitCollision
+     * @returns {Physbody} Returns self for chaining
+     */
+    onCollisionStay(callback) {
+        this._collisionListeners.stay.push(callback);
+        return this;
+    }
+
+    /**
+     * Subscribes to this physbody no longer colliding with another physbody. The event carries the last contact between the two.
+     * @param {Function<CollisionEvent>} callback The function to call with the collision event. @see CollisionHandler.emitCollision
+     * @returns {Physbody} Returns self for chaining
+     */
+    onCollisionExit(callback) {
+        this._collisionListeners.exit.push(callback);
+        return this;
+    }
+
+    /**
+     * Unsubscribes a function from all of this physbody's collision events
+     * @param {Function<CollisionEvent>} callback The function to unsubscribe
+     * @returns {Physbody} Returns self for chaining
+     */
+    offCollision(callback) {
+        for (const type in this._collisionListeners) {
+            const listeners = this._collisionListeners[type];
+            const index = listeners.indexOf(callback);
+
+            if (index != -1) {
+                listeners.splice(index, 1);
+            }
+        }
+
+        return this;
+    }
+}
+
+export class DynamicBody extends Physbody {
+
+    /**
+     * Creates a dynamic physbody, or a physbody which is able to move around in the world and receive forces
+     * @param {Vector2} pos The top-left coordinate, or position, of this physbody
+     * @param {Number} width The width of this physbody
+     * @param {Number} height The height of this physbody
+     * @param {PIXI.Sprite} sprite The sprite component attached to this physbody
+     */
+    constructor(pos, width, height, sprite = createSprite('WHITE')) {
+
+        /**
+         * Calls super constructor, @see Physbody
+         */
+        super(pos, width, height, sprite);
+
+        // Velocity properties
+        this.vx = 0;
+        this.vy = 0;
+        
+        // Acceleration properties
+        this.ax = 0;
+        this.ay = 0;
+
+        // Internal sum of the forces applied to this physbody since the last physics step; @see DynamicBody.applyForce
+        this._force = Vector2.zero;
+
+        // Boolean for if this physbody is fast-moving; swept for continuous collision every physics step instead of only when it moves further than its own size
+        this.fast = false;
+
+        // Mass of this physbody; decides how the push is split when two dynamic bodies overlap
+        this.mass = 1;
+
+        // Booleans for which sides of this physbody are touching something, worked out from the contacts resolved every physics step
+        this.grounded = false;
+        this.touchingCeiling = false;
+        this.touchingWallLeft = false;
+        this.touchingWallRight = false;
+
+        // The physbody this physbody is standing on, if grounded
+        this.groundBody = null;
+
+        // How long this physbody has been grounded, or airborne, for in seconds of physics time
+        this.groundedTime = 0;
+        this.airborneTime = 0;
+
+        // Internal boolean for if this physbody is resting on static ground this physics step, directly or through a stack of other dynamic bodies
+        this._supported = false;
+
+        // Internal kinematic body this physbody is standing on, if any; carries this physbody along with its motion
+        this._platform = null;
+
+        // Internal map of the physbodies this physbody is ignoring collisions with, to the time left to ignore them for in seconds
+        this._ignored = new Map();
+
+        // The alpha for latest lerp, or the percentage through the next step physics step the lerp body should be moved to
+        this.alpha = 0;
+
+        // Internal last state of this physbody
+        this._last = this.body.clone();
+
+        // Internal body representing the linearly interpolated position of this physbody
+        this._lerpBody = this.body.clone();
+    }
+
+    /**
+     * @returns {Number} Returns the x-coordinate of the physbody
+     */
+    get x() {
+        return this.body.x;
+    }
+
+    /**
+     * Updates the x-coordinate of this physbody to the new value, and updates the sprite and cached body
+     * @param {Number} x The new x-coordinate of this physbody
+     */
+    set x(x) {
+        const dx = x - this.body.x;
+        this.body.x += dx;
+        // this.sprite.x += dx;
+        // this._last.x = this.body.x - dx;
+    }
+
+    /**
+     * @returns {Number} Returns the y-coordinate of the physbody
+     */
+    get y() {
+        return this.body.y;
+    }
+
+    /**
+     * Updates the y-coordinate of this physbody to the new value, and updates the sprite and cached body
+     * @param {Number} y The new y-coordinate of this physbody
+     */
+    set y(y) {
+        const dy = y - this.body.y;
+        this.body.y += dy;
+        // this.sprite.y += dy;
+        // this._last.y = this.body.y - dy;
+    }
+
+    /**
+     * Calculates the interpolated position of the lerp body, updates the internal lerp body, and returns it.
+     * @returns {AABB} Returns the internal lerp body after updating its positions according to latest physics alpha; the physbody's AABB where it's
+     * drawn. @see Physics.step
+     */
+    get lerpBody() {
+        this._lerpBody.x = this.body.x * this.alpha + this._last.x * (1.0 - this.alpha);
+        this._lerpBody.y = this.body.y * this.alpha + this._last.y * (1.0 - this.alpha);
+        return this._lerpBody;
+    }
+
+    /**
+     * Forgets the contact state of the last physics step, before this physics step's contacts are added
+     */
+    clearContacts() {
+        this.grounded = false;
+        this.touchingCeiling = false;
+        this.touchingWallLeft = false;
+        this.touchingWallRight = false;
+        this.groundBody = null;
+    }
+
+    /**
+     * Updates the contact state of this physbody with a contact resolved this physics step
+     * @param {Physbody} body The physbody touched
+     * @param {Vector2} normal The direction this physbody was pushed out of the other physbody
+     */
+    addContact(body, normal) {
+        if (normal.y < 0) {
+            this.grounded = true;
+
+            if (this.groundBody == null) {
+                this.groundBody = body;
+            }
+        } else if (normal.y > 0) {
+            this.touchingCeiling = true;
+        } else if (normal.x > 0) {
+            this.touchingWallLeft = true;
+        } else if (normal.x < 0) {
+            this.touchingWallRight = true;
+        }
+    }
+
+    /**
+     * Applies a force to this physbody over the next physics step; call every frame for a continuous force
+     * @param {Vector2} force The force to apply
+     * @returns {DynamicBody} Returns self for chaining
+     */
+    applyForce(force) {
+        this._force.x += force.x;
+        this._force.y += force.y;
+        return this;
+    }
+
+    /**
+     * Applies an impulse to this physbody, changing its velocity immediately; jumps, knockback, explosions and the like
+     * @param {Vector2} impulse The impulse to apply
+     * @returns {DynamicBody} Returns self for chaining
+     */
+    applyImpulse(impulse) {
+        this.vx += impulse.x / this.mass;
+        this.vy += impulse.y / this.mass;
+        return this;
+    }
+
+    /**
+     * Ignores collisions with another physbody for a while; dropping through a one-way platform, letting a thrown object leave its thrower and the like
+     * @param {Physbody} body The physbody to ignore
+     * @param {Number} duration How long to ignore it for, in seconds of physics time
+     * @returns {DynamicBody} Returns self for chaining
+     */
+    ignore(body, duration) {
+        this._ignored.set(body, duration);
+        return this;
+    }
+
+    /**
+     * Checks if this physbody is currently ignoring collisions with another physbody
+     * @param {Physbody} body The physbody to check
+     * @returns {Boolean} Returns whether or not the physbody is being ignored
+     */
+    isIgnoring(body) {
+        return this._ignored.has(body);
+    }
+
+    /**
+     * Drops through every one-way platform this physbody is currently standing on, by ignoring them for a while
+     * @param {Number} duration How long to ignore the platforms for, in seconds of physics time. Defaults to 0.25.
+     * @returns {DynamicBody} Returns self for chaining
+     */
+    dropThrough(duration = 0.25) {
+        const contacts = this.world._contacts.get(this);
+
+        if (contacts != undefined) {
+            for (const [body, contact] of contacts) {
+                if (body.oneWay && contact.side == 'top') {
+                    this.ignore(body, duration);
+                }
+            }
+        }
+
+        return this;
+    }
+
+    /**
+     * Counts down the time left on every physbody this physbody is ignoring, forgetting the ones whose time is up
+     * @param {Number} dt The time step, in seconds
+     */
+    updateIgnored(dt) {
+        for (const [body, time] of this._ignored) {
+            if (time <= dt) {
+                this._ignored.delete(body);
+            } else {
+                this._ignored.set(body, time - dt);
+            }
+        }
+    }
+
+    /**
+     * Updates the internal AABB (cache) representing the last state of this physbody
+     */
+    updateCache() {
+        this._last.x = this.x;
+        this._last.y = this.y;
+        this._last.width = this.body.width;
+        this._last.height = this.body.height;
+    }
+
+    /**
+     * Updates the sprite attached to this physbody with respect to the internal lerp body. Renders in world coordinates; @see Camera
+     */
+    updateSprite() {
+        if (this.sprite == null) {
+            return;
+        }
+
+        this.sprite.x = this.lerpBody.min.x;
+        this.sprite.y = this.lerpBody.min.y;
+    }
+}
+
+export class StandardBody extends Physbody {
+
+    /**
+     * 
+     * @param {Vector2} pos The top-left coordinate, or position, of this physbody
+     * @param {Number} width The width of this physbody
+     * @param {Number} height The height of this physbody
+     * @param {*} appearance An options object containing a color and or texture. This parameter is optional, as it has defaults.
+     */
+    constructor(pos, width, height, appearance = {}) {
+
+        // The default appearance options object, used to fill in gaps of missing parameters; no texture means a plain white sprite
+        const defaults = {
+            color: 0xFFFFFF,
+            texture: null,
+        };
+
+        // Fill in missing gaps in supplied appearence options
+        appearance = Object.assign({}, defaults, appearance);
+
+        // Make sprite; none when running headless
+        const sprite = appearance.texture == null ? createSprite('WHITE') : new PIXI.Sprite(appearance.texture);
+
+        /**
+         * Call super constructor, @see Physbody
+         */
+        super(pos, width, height, sprite);
+
+        // Assign attributes to attached sprite
+        if (this.sprite != null) {
+            this.sprite.x = pos.x;
+            this.sprite.y = pos.y;
+            this.sprite.width = width;
+            this.sprite.height = height;
+            this.sprite.tint = appearance.color;
+        }
+    }
+}
+
+export class KinematicBody extends Physbody {
+
+    /**
+     * Creates a kinematic physbody, or a physbody which moves along a scripted path or at a set velocity, ignoring forces and static bodies. It pushes dynamic
+     * bodies out of its way and carries the ones standing on top of it; moving platforms, elevators, crushers and the like.
+     * @param {Vector2} pos The top-left coordinate, or position, of this physbody
+     * @param {Number} width The width of this physbody
+     * @param {Number} height The height of this physbody
+     * @param {PIXI.Sprite} sprite The sprite component attached to this physbody
+     */
+    constructor(pos, width, height, sprite = createSprite('WHITE')) {
+
+        /**
+         * Calls super constructor, @see Physbody
+         */
+        super(pos, width, height, sprite);
+
+        // Velocity properties; set directly to move at a constant velocity, or worked out from the path being followed
+        this.vx = 0;
+        this.vy = 0;
+
+        // Waypoints (top-left positions) of the path being followed, the speed it's followed at and how it continues past the last waypoint; @see KinematicBody.setPath
+        this.path = null;
+        this.speed = 0;
+        this.pathMode = 'pingpong';
+
+        // The alpha for latest lerp, or the percentage through the next step physics step the lerp body should be moved to
+        this.alpha = 0;
+
+        // Internal index of the waypoint being moved towards, and the direction the path is being walked in
+        this._target = 0;
+        this._direction = 1;
+
+        // Internal movement of this physbody during the most recent physics step; what riders are carried by
+        this._delta = Vector2.zero;
+
+        // Internal last state of this physbody
+        this._last = this.body.clone();
+
+        // Internal body representing the linearly interpolated position of this physbody
+        this._lerpBody = this.body.clone();
+    }
+
+    /**
+     * @returns {Number} Returns the x-coordinate of the physbody
+     */
+    get x() {
+        return this.body.x;
+    }
+
+    /**
+     * @param {Number} x The new x-coordinate of this physbody
+     */
+    set x(x) {
+        this.body.x = x;
+    }
+
+    /**
+     * @returns {Number} Returns the y-coordinate of the physbody
+     */
+    get y() {
+        return this.body.y;
+    }
+
+    /**
+     * @param {Number} y The new y-coordinate of this physbody
+     */
+    set y(y) {
+        this.body.y = y;
+    }
+
+    /**
+     * Makes this physbody follow a path of waypoints at a constant speed, starting with the first waypoint
+     * @param {Array<Vector2>} points The waypoints of the path; top-left positions of this physbody
+     * @param {Number} speed The speed the path is followed at, in units per second
+     * @param {String} mode What happens after the last waypoint; 'pingpong' walks the path back, 'loop' heads back to the first waypoint and 'once' stops.
+     * Defaults to 'pingpong'.
+     * @returns {KinematicBody} Returns self for chaining
+     */
+    setPath(points, speed, mode = 'pingpong') {
+        this.path = points;
+        this.speed = speed;
+        this.pathMode = mode;
+        this._target = 0;
+        this._direction = 1;
+        return this;
+    }
+
+    /**
+     * Moves this physbody one physics step along its path, or by its velocity if it has no path
+     * @param {Number} dt The time step, in seconds
+     */
+    move(dt) {
+        const startX = this.x;
+        const startY = this.y;
+
+        if (this.path == null) {
+            this.x += this.vx * dt;
+            this.y += this.vy * dt;
+        } else {
+
+            // Distance left to travel this physics step; may pass through several waypoints
+            let remaining = this.speed * dt;
+
+            for (let i = 0; i < this.path.length && remaining > 0 && this._target != -1; i++) {
+                const target = this.path[this._target];
+                const dx = target.x - this.x;
+                const dy = target.y - this.y;
+                const distance = Math.sqrt(dx * dx + dy * dy);
+
+                if (distance > remaining) {
+                    this.x += dx / distance * remaining;
+                    this.y += dy / distance * remaining;
+                    remaining = 0;
+                } else {
+                    this.x = target.x;
+                    this.y = target.y;
+                    remaining -= distance;
+                    this.nextWaypoint();
+                }
+            }
+
+            // Velocity follows from the movement, so anything reading it sees the platform's motion
+            this.vx = (this.x - startX) / dt;
+            this.vy = (this.y - startY) / dt;
+        }
+
+        this._delta.x = this.x - startX;
+        this._delta.y = this.y - startY;
+    }
+
+    /**
+     * Advances the waypoint being moved towards according to the path mode; -1 once a 'once' path is finished
+     */
+    nextWaypoint() {
+        const next = this._target + this._direction;
+
+        if (next >= 0 && next < this.path.length) {
+            this._target = next;
+        } else if (this.pathMode == 'loop') {
+            this._target = 0;
+        } else if (this.pathMode == 'pingpong' && this.path.length > 1) {
+            this._direction = -this._direction;
+            this._target += this._direction;
+        } else {
+            this._target = -1;
+        }
+    }
+
+    /**
+     * Calculates the interpolated position of the lerp body, updates the internal lerp body, and returns it.
+     * @returns {AABB} Returns the internal lerp body after updating its positions according to latest physics alpha; the physbody's AABB where it's
+     * drawn. @see Physics.step
+     */
+    get lerpBody() {
+        this._lerpBody.x = this.body.x * this.alpha + this._last.x * (1.0 - this.alpha);
+        this._lerpBody.y = this.body.y * this.alpha + this._last.y * (1.0 - this.alpha);
+        return this._lerpBody;
+    }
+
+    /**
+     * Updates the internal AABB (cache) representing the last state of this physbody
+     */
+    updateCache() {
+        this._last.x = this.x;
+        this._last.y = this.y;
+    }
+
+    /**
+     * Updates the sprite attached to this physbody with respect to the internal lerp body. Renders in world coordinates; @see Camera
+     */
+    updateSprite() {
+        if (this.sprite == null) {
+            return;
+        }
+
+        this.sprite.x = this.lerpBody.min.x;
+        this.sprite.y = this.lerpBody.min.y;
+    }
+}
+
+export class TriggerBody extends Physbody {
+
+    /**
+     * Creates a trigger physbody, or a stationary area which reports dynamic bodies entering and leaving it without ever pushing them out; pickups,
+     * damage zones, checkpoints and the like
+     * @param {Vector2} pos The top-left coordinate, or position, of this physbody
+     * @param {Number} width The width of this physbody
+     * @param {Number} height The height of this physbody
+     * @param {PIXI.Sprite} sprite The sprite component attached to this physbody. Defaults to an invisible sprite, or none when running headless.
+     */
+    constructor(pos, width, height, sprite = createSprite('EMPTY')) {
+
+        /**
+         * Call super constructor, @see Physbody
+         */
+        super(pos, width, height, sprite);
+
+        // Assign attributes to attached sprite
+        if (this.sprite != null) {
+            this.sprite.x = pos.x;
+            this.sprite.y = pos.y;
+            this.sprite.width = width;
+            this.sprite.height = height;
+        }
+
+        // Internal set of the dynamic bodies currently inside this trigger
+        this._occupants = new Set();
+
+        // Internal trigger event listeners of this physbody
+        this._triggerListeners = {
+            enter: [],
+            exit: [],
+        };
+    }
+
+    /**
+     * @returns {Array<DynamicBody>} Returns the dynamic bodies currently inside this trigger
+     */
+    get occupants() {
+        return Array.from(this._occupants);
+    }
+
+    /**
+     * Checks if a dynamic body is currently inside this trigger
+     * @param {DynamicBody} body The dynamic body to check for
+     * @returns {Boolean} Returns whether or not the body is inside this trigger
+     */
+    contains(body) {
+        return this._occupants.has(body);
+    }
+
+    /**
+     * Subscribes to a dynamic body entering this trigger
+     * @param {Function<DynamicBody, TriggerBody>} callback The function to call with the entering body and this trigger
+     * @returns {TriggerBody} Returns self for chaining
+     */
+    onTriggerEnter(callback) {
+        this._triggerListeners.enter.push(callback);
+        return this;
+    }
+
+    /**
+     * Subscribes to a dynamic body leaving this trigger
+     * @param {Function<DynamicBody, TriggerBody>} callback The function to call with the leaving body and this trigger
+     * @returns {TriggerBody} Returns self for chaining
+     */
+    onTriggerExit(callback) {
+        this._triggerListeners.exit.push(callback);
+        return this;
+    }
+
+    /**
+     * Unsubscribes a function from all of this trigger's events
+     * @param {Function<DynamicBody, TriggerBody>} callback The function to unsubscribe
+     * @returns {TriggerBody} Returns self for chaining
+     */
+    offTrigger(callback) {
+        for (const type in this._triggerListeners) {
+            const listeners = this._triggerListeners[type];
+            const index = listeners.indexOf(callback);
+
+            if (index != -1) {
+                listeners.splice(index, 1);
+            }
+        }
+
+        return this;
+    }
+
+    /**
+     * Removes a dynamic body from the bodies inside this trigger, firing an exit event if it was inside; for bodies leaving the world
+     * @param {DynamicBody} body The dynamic body to remove
+     */
+    removeOccupant(body) {
+        if (this._occupants.delete(body)) {
+            this._triggerListeners.exit.forEach(callback => callback(body, this));
+        }
+    }
+
+    /**
+     * Replaces the dynamic bodies inside this trigger with the ones overlapping it this physics step, firing enter and exit events for the differences
+     * @param {Set<DynamicBody>} bodies The dynamic bodies overlapping this trigger this physics step
+     */
+    updateOccupants(bodies) {
+        const previous = this._occupants;
+        this._occupants = bodies;
+
+        for (const body of bodies) {
+            if (!previous.has(body)) {
+                this._triggerListeners.enter.forEach(callback => callback(body, this));
+            }
+        }
+
+        for (const body of previous) {
+            if (!bodies.has(body)) {
+                this._triggerListeners.exit.forEach(callback => callback(body, this));
+            }
+        }
+    }
+}
+
+/**
+ * Gets the midpoint of a physbody where it's drawn; interpolated between physics steps for moving bodies, so followers don't jitter against its sprite
+ * @param {Physbody} body The physbody
+ * @returns {Vector2} Returns the interpolated midpoint, in global coordinates
+ */
+function renderedMid(body) {
+    if (body instanceof DynamicBody || body instanceof KinematicBody) {
+        return body.lerpBody.mid;
+    }
+
+    return body.body.mid;
+}
+
+export class ParallaxLayer {
+
+    /**
+     * A layer that scrolls at a fraction of the camera speed, and optionally repeats infinitely; @see Scene.addParallaxLayer
+     * @param {PIXI.Texture} texture The texture of the layer
+     * @param {*} options The layer options; the global position of the layer when the camera is at the origin, the scroll factor on each axis, 0 staying put
+     * on screen and 1 moving with the world, the axes to repeat on, 'none', 'x', 'y' or 'both', and the z-index. Defaults are in ParallaxLayer.DEFAULT_OPTIONS.
+     */
+    constructor(texture, options = {}) {
+
+        // Autofill options with defaults if any are missing
+        options = Object.assign({}, ParallaxLayer.DEFAULT_OPTIONS, options);
+
+        this.position = new Vector2(options.position.x, options.position.y);
+        this.scrollFactor = new Vector2(options.scrollFactor.x, options.scrollFactor.y);
+        this.repeat = options.repeat;
+
+        // Repeating layers tile their texture over the view, others are a plain sprite
+        this.sprite = this.repeat == 'none' ? new PIXI.Sprite(texture) : new PIXI.TilingSprite(texture, texture.width, texture.height);
+        this.sprite.zIndex = options.zIndex;
+    }
+
+    /**
+     * Moves the layer with respect to a camera. Called by the renderer before the scene is rendered through each camera.
+     * @param {Camera} camera The camera the scene is about to be rendered through. Defaults to the main camera.
+     */
+    update(camera = Camera.main) {
+        const center = camera.center;
+
+        // Offset the layer by the part of the camera movement it shouldn't follow; measured from the center of the view with the camera at the origin
+        const x = this.position.x + (center.x - camera.width / 2) * (1 - this.scrollFactor.x);
+        const y = this.position.y + (center.y - camera.height / 2) * (1 - this.scrollFactor.y);
+
+        if (this.repeat == 'none') {
+            this.sprite.position.set(x, y);
+            return;
+        }
+
+        // Cover the whole view along the repeated axes, rotated or not, and scroll the texture inside of it
+        const extent = Math.hypot(camera.viewWidth, camera.viewHeight);
+
+        if (this.repeat == 'x' || this.repeat == 'both') {
+            this.sprite.x = center.x - extent / 2;
+            this.sprite.width = extent;
+            this.sprite.tilePosition.x = x - this.sprite.x;
+        } else {
+            this.sprite.x = x;
+        }
+
+        if (this.repeat == 'y' || this.repeat == 'both') {
+            this.sprite.y = center.y - extent / 2;
+            this.sprite.height = extent;
+            this.sprite.tilePosition.y = y - this.sprite.y;
+        } else {
+            this.sprite.y = y;
+        }
+    }
+}
+
+// Define default parallax layer options constant
+Object.defineProperty(ParallaxLayer, 'DEFAULT_OPTIONS', {
+    value: {
+        position: new Vector2(0, 0),
+        scrollFactor: new Vector2(0.5, 0.5),
+        repeat: 'none',
+        zIndex: -1,
+    },
+    writable: false,
+    enumerable: false,
+    configurable: false,
+});
+
+export class Camera {
+
+    /**
+     * A camera; a view of the world, rendered to a region of the canvas. The static members of this class act on the main camera, @see Camera.main,
+     * and cameras are rendered when added to @see Renderer.cameras
+     * @param {*} viewport The region of the canvas to render to in normalized screen space; x, y, width and height, from 0 to 1. Defaults to the whole canvas.
+     */
+    constructor(viewport = {x: 0, y: 0, width: 1, height: 1}) {
+
+        // Region of the canvas this camera renders to
+        this.viewport = viewport;
+
+        // Top-left of the view in global coordinates
+        this.x = 0;
+        this.y = 0;
+
+        // Internal zoom of the camera; @see Camera.zoom
+        this._zoom = 1;
+
+        // Rotation of the view about its center, in radians
+        this.rotation = 0;
+
+        // Follow state; the target, the size of the area around the center of the view the target can move in without the camera moving, and roughly the time
+        // in seconds the camera takes to catch up. @see Camera.follow
+        this.target = null;
+        this.deadzone = Vector2.zero;
+        this.smoothing = 0;
+
+        // The AABB the view is kept inside of, or null for none
+        this.bounds = null;
+
+        // Shake state; trauma, between 0 and 1, trauma lost per second, and the offset and angle (in radians) the view is shaken by at full trauma. @see Camera.addTrauma
+        this.trauma = 0;
+        this.shakeDecay = 1;
+        this.maxShakeOffset = 16;
+        this.maxShakeAngle = 0.05;
+
+        // Internal shake offset and angle of the current frame
+        this._shake = Vector2.zero;
+        this._shakeAngle = 0;
+    }
+
+    /**
+     * @returns {Number} Returns the zoom of the camera; 2 shows everything twice as big
+     */
+    get zoom() {
+        return this._zoom;
+    }
+
+    /**
+     * Zooms the camera about the center of the view
+     * @param {Number} zoom The new zoom
+     */
+    set zoom(zoom) {
+        const center = this.center;
+        this._zoom = zoom;
+        this.center = center;
+    }
+
+    /**
+     * @returns {Vector2} Returns the global coordinates of the center of the view
      */
-    set x(x) {
-        this.min.x = x;
+    get center() {
+        return new Vector2(this.x + this.viewWidth / 2, this.y + this.viewHeight / 2);
     }
 
     /**
-     * @returns {Number} Returns the y-coordinate of this AABB
+     * Moves the camera so the center of the view is at the supplied global coordinates
+     * @param {Vector2} center The new center of the view
      */
-    get y() {
-        return this.min.y;
+    set center(center) {
+        this.x = center.x - this.viewWidth / 2;
+        this.y = center.y - this.viewHeight / 2;
     }
 
     /**
-     * @param {Number} x The new y-coordinate of the AABB
+     * @returns {Number} Returns the width of the viewport in screen coordinates
      */
-    set y(y) {
-        this.min.y = y;
+    get width() {
+        return Renderer.width * this.viewport.width;
     }
 
     /**
-     * @returns {Number} Returns the left-side (x) coordinate of this AABB
+     * @returns {Number} Returns the height of the viewport in screen coordinates
      */
-    get left() {
-        return this.min.x;
+    get height() {
+        return Renderer.height * this.viewport.height;
     }
 
     /**
-     * @returns {Number} Returns the right-side (x) coordinate of this AABB
+     * @returns {Number} Returns the width of the view in global coordinates, with respect to zoom
      */
-    get right() {
-        return this.min.x + this.width;
+    get viewWidth() {
+        return this.width / this.zoom;
+    }
+
+    /**
+     * @returns {Number} Returns the height of the view in global coordinates, with respect to zoom
+     */
+    get viewHeight() {
+        return this.height / this.zoom;
+    }
+
+    /**
+     * Checks if a point on screen is inside of the viewport of this camera
+     * @param {Vector2} screen The screen coordinates to check
+     * @returns {Boolean} Returns whether or not the point is inside of the viewport
+     */
+    contains(screen) {
+        const left = this.viewport.x * Renderer.width;
+        const top = this.viewport.y * Renderer.height;
+
+        return screen.x >= left && screen.x < left + this.width && screen.y >= top && screen.y < top + this.height;
+    }
+
+    /**
+     * Converts global coordinates to screen coordinates through this camera; accounts for the viewport, zoom and rotation, but not shake
+     * @param {Vector2} global The global coordinates to convert
+     * @returns {Vector2} Returns the screen coordinates converted from the supplied vector
+     */
+    toScreenCoordinates(global) {
+        const center = this.center;
+        const cos = Math.cos(-this.rotation);
+        const sin = Math.sin(-this.rotation);
+        const dx = global.x - center.x;
+        const dy = global.y - center.y;
+
+        // Rotate about the center of the view, then scale and move to the center of the viewport
+        return new Vector2(
+            (dx * cos - dy * sin) * this.zoom + this.viewport.x * Renderer.width + this.width / 2,
+            (dx * sin + dy * cos) * this.zoom + this.viewport.y * Renderer.height + this.height / 2,
+        );
+    }
+
+    /**
+     * Converts screen coordinates to global coordinates through this camera; accounts for the viewport, zoom and rotation, but not shake
+     * @param {Vector2} screen The screen coordinates to convert
+     * @returns {Vector2} Returns the global coordinates converted from the supplied vector
+     */
+    toGlobalCoordinates(screen) {
+        const center = this.center;
+        const cos = Math.cos(this.rotation);
+        const sin = Math.sin(this.rotation);
+        const dx = (screen.x - this.viewport.x * Renderer.width - this.width / 2) / this.zoom;
+        const dy = (screen.y - this.viewport.y * Renderer.height - this.height / 2) / this.zoom;
+
+        // Undo @see Camera.toScreenCoordinates in reverse order
+        return new Vector2(
+            dx * cos - dy * sin + center.x,
+            dx * sin + dy * cos + center.y,
+        );
+    }
+
+    /**
+     * Makes the camera follow a target every frame
+     * @param {Physbody|Vector2} target The physbody, followed by its midpoint where it's drawn, between physics steps, or the global coordinates to follow;
+     * anything with x and y
+     * @param {*} options The follow options; the deadzone, the size of the area around the center of the view the target can move in without the camera moving,
+     * and smoothing, roughly the time in seconds the camera takes to catch up, 0 snapping to the target. Defaults to no deadzone and no smoothing.
+     * @returns {Camera} Returns self for chaining
+     */
+    follow(target, options = {}) {
+        const followOptions = Object.assign({}, Camera.DEFAULT_FOLLOW_OPTIONS, options);
+
+        this.target = target;
+        this.deadzone = followOptions.deadzone;
+        this.smoothing = followOptions.smoothing;
+
+        return this;
+    }
+
+    /**
+     * Stops the camera following its target
+     * @returns {Camera} Returns self for chaining
+     */
+    unfollow() {
+        this.target = null;
+
+        return this;
+    }
+
+    /**
+     * Adds trauma to the camera, shaking it. Shake grows with the square of trauma, and trauma decays over time; @see Camera.shakeDecay
+     * @param {Number} amount The trauma to add, between 0 and 1; trauma is capped at 1
+     * @returns {Camera} Returns self for chaining
+     */
+    addTrauma(amount) {
+        this.trauma = Math.min(1, this.trauma + amount);
+
+        return this;
+    }
+
+    /**
+     * Resets the camera to its defaults; position, zoom, rotation, follow target, bounds and shake. The viewport is kept.
+     */
+    reset() {
+        this.x = 0;
+        this.y = 0;
+        this._zoom = 1;
+        this.rotation = 0;
+        this.target = null;
+        this.bounds = null;
+        this.trauma = 0;
+        this._shake = Vector2.zero;
+        this._shakeAngle = 0;
+    }
+
+    /**
+     * Updates the camera; follows its target, clamps to its bounds and shakes
+     * @param {Number} dt The time since the last update in seconds
+     */
+    update(dt) {
+
+        // Follow the target, if any
+        if (this.target != null) {
+            const focus = this.target instanceof Physbody ? renderedMid(this.target) : this.target;
+            const center = this.center;
+            const desired = center.clone();
+
+            // Only move far enough to bring the target back into the deadzone
+            for (const [axis, size] of [['x', this.deadzone.x], ['y', this.deadzone.y]]) {
+                if (focus[axis] < center[axis] - size / 2) {
+                    desired[axis] = focus[axis] + size / 2;
+                } else if (focus[axis] > center[axis] + size / 2) {
+                    desired[axis] = focus[axis] - size / 2;
+                }
+            }
+
+            // Exponential smoothing, independent of the frame rate
+            const t = this.smoothing > 0 ? 1 - Math.exp(-dt / this.smoothing) : 1;
+            this.center = new Vector2(center.x + (desired.x - center.x) * t, center.y + (desired.y - center.y) * t);
+        }
+
+        // Clamp the view to the bounds, centering on them if the view is bigger
+        if (this.bounds != null) {
+            const bounds = this.bounds;
+
+            this.x = this.viewWidth >= bounds.width ? bounds.x + (bounds.width - this.viewWidth) / 2
+                : Math.min(Math.max(this.x, bounds.x), bounds.right - this.viewWidth);
+            this.y = this.viewHeight >= bounds.height ? bounds.y + (bounds.height - this.viewHeight) / 2
+                : Math.min(Math.max(this.y, bounds.y), bounds.bottom - this.viewHeight);
+        }
+
+        // Decay trauma, and shake with respect to its square
+        this.trauma = Math.max(0, this.trauma - this.shakeDecay * dt);
+        const shake = this.trauma * this.trauma;
+        this._shake = new Vector2(
+            this.maxShakeOffset * shake * (Math.random() * 2 - 1),
+            this.maxShakeOffset * shake * (Math.random() * 2 - 1),
+        );
+        this._shakeAngle = this.maxShakeAngle * shake * (Math.random() * 2 - 1);
+    }
+
+    /**
+     * Applies the camera transform to a world container, rotating and scaling about the center of the view, and clips it to the viewport
+     * @param {PIXI.Container} container The world container to transform
+     * @param {PIXI.Graphics} mask The mask of the world container; redrawn as the viewport
+     */
+    apply(container, mask) {
+        const center = this.center;
+        const left = this.viewport.x * Renderer.width;
+        const top = this.viewport.y * Renderer.height;
+
+        container.pivot.set(center.x, center.y);
+        container.position.set(left + this.width / 2 + this._shake.x, top + this.height / 2 + this._shake.y);
+        container.scale.set(this.zoom, this.zoom);
+        container.rotation = -this.rotation + this._shakeAngle;
+
+        mask.clear();
+        mask.beginFill(0xFFFFFF);
+        mask.drawRect(left, top, this.width, this.height);
+        mask.endFill();
+    }
+
+    /**
+     * Converts global coordinates to screen coordinates through the main camera. @see Camera#toScreenCoordinates
+     * @param {Vector2} global The global coordinates to convert
+     * @returns {Vector2} Returns the screen coordinates converted from the supplied vector
+     */
+    static toScreenCoordinates(global) {
+        return Camera.main.toScreenCoordinates(global);
+    }
+
+    /**
+     * Converts screen coordinates to global coordinates through the main camera. @see Camera#toGlobalCoordinates
+     * @param {Vector2} screen The screen coordinates to convert
+     * @returns {Vector2} Returns the global coordinates converted from the supplied vector
+     */
+    static toGlobalCoordinates(screen) {
+        return Camera.main.toGlobalCoordinates(screen);
+    }
+
+    /**
+     * Makes the main camera follow a target every frame. @see Camera#follow
+     * @param {Physbody|Vector2} target The physbody, followed by its midpoint, or the global coordinates to follow
+     * @param {*} options The follow options; deadzone and smoothing
+     * @returns {Camera} Returns the main camera for chaining
+     */
+    static follow(target, options) {
+        return Camera.main.follow(target, options);
+    }
+
+    /**
+     * Stops the main camera following its target. @see Camera#unfollow
+     * @returns {Camera} Returns the main camera for chaining
+     */
+    static unfollow() {
+        return Camera.main.unfollow();
+    }
+
+    /**
+     * Adds trauma to the main camera, shaking it. @see Camera#addTrauma
+     * @param {Number} amount The trauma to add, between 0 and 1
+     * @returns {Camera} Returns the main camera for chaining
+     */
+    static addTrauma(amount) {
+        return Camera.main.addTrauma(amount);
+    }
+
+    /**
+     * Resets the main camera to its defaults. @see Camera#reset
+     */
+    static reset() {
+        Camera.main.reset();
+    }
+
+    /**
+     * Updates the main camera. @see Camera#update
+     * @param {Number} dt The time since the last update in seconds
+     */
+    static update(dt) {
+        Camera.main.update(dt);
+    }
+}
+
+// Define static property as the main camera; the static camera functions act on it, and it's the only camera rendered by default
+Object.defineProperty(Camera, 'main', {
+    value: new Camera(),
+    writable: false,
+    enumerable: true,
+    configurable: false,
+});
+
+// Define static properties delegating to the main camera's state
+for (const name of ['x', 'y', 'zoom', 'rotation', 'center', 'viewport', 'target', 'deadzone', 'smoothing', 'bounds', 'trauma', 'shakeDecay', 'maxShakeOffset', 'maxShakeAngle']) {
+    Object.defineProperty(Camera, name, {
+        get() {
+            return Camera.main[name];
+        },
+        set(value) {
+            Camera.main[name] = value;
+        },
+        enumerable: false,
+        configurable: false,
+    });
+}
+
+// Define static properties delegating to the main camera's view dimensions
+for (const name of ['width', 'height', 'viewWidth', 'viewHeight']) {
+    Object.defineProperty(Camera, name, {
+        get() {
+            return Camera.main[name];
+        },
+        enumerable: false,
+        configurable: false,
+    });
+}
+
+// Define default follow options constant
+Object.defineProperty(Camera, 'DEFAULT_FOLLOW_OPTIONS', {
+    value: {
+        deadzone: Vector2.zero,
+        smoothing: 0,
+    },
+    writable: false,
+    enumerable: false,
+    configurable: false,
+});
+
+// Define static cameras property of Renderer; the cameras the scene is rendered through, in order, so later cameras draw over earlier ones. Defined here, after the main camera.
+Object.defineProperty(Renderer, 'cameras', {
+    value: [Camera.main],
+    writable: false,
+    enumerable: true,
+    configurable: false,
+});
+
+export class PhysicsWorld {
+
+    /**
+     * Creates a physics world, or an independent simulation owning its own physbodies, gravity, timestep and collision state. Every scene owns one, and
+     * any number of others can be simulated alongside them; minimaps, previews and the like.
+     * @param {Vector2} gravity The acceleration applied to every dynamic body in this world, on top of its own. Defaults to none.
+     * @param {Number} timestep The time step this world is simulated with when none is supplied, in seconds. Defaults to 1/60.
+     */
+    constructor(gravity = Vector2.zero, timestep = 1 / 60) {
+
+        // Gravity and default time step
+        this.gravity = gravity;
+        this.timestep = timestep;
+
+        // Arrays containing all the currently "alive" dynamic, kinematic and static bodies of this world
+        this.dynamicBodies = [];
+        this.kinematicBodies = [];
+        this.staticBodies = [];
+
+        // Broadphase grid containing all the currently "alive" physbodies of this world; see its stats for profiling
+        this.broadphase = new SpatialHash();
+
+        // Array containing all of the collisions that have occured during the most recent physics step
+        this.collisions = [];
+
+        // Clock the physics step measures real time with, in ms; replace it to drive this world from another time source
+        this.clock = () => performance.now();
+
+        // Time of last frame; null until the first step
+        this.lastFrame = null;
+
+        // Accumulator for frame time remainder when divided into time step sized pieces
+        this.accumulator = 0;
+
+        // Number of time steps simulated since the last reset
+        this.stepCount = 0;
+
+        // Internal contacts resolved during the most recent physics step, for collision events
+        this._contacts = new Map();
+
+        // Internal set of the triggers occupied after the most recent physics step
+        this._occupiedTriggers = new Set();
+
+        // Internal global collision event listeners of this world
+        this._listeners = {
+            enter: [],
+            stay: [],
+            exit: [],
+        };
+
+        // Internal step listeners of this world; @see PhysicsWorld.onStep
+        this._stepListeners = [];
+    }
+
+    /**
+     * Adds a physbody to this world, removing it from the world it was in. Physbodies are added to the active world when they're created. @see Physics.world
+     * @param {Physbody} body The physbody to add
+     * @returns {PhysicsWorld} Returns self for chaining
+     */
+    add(body) {
+
+        if (body.world != null) {
+            body.world.remove(body);
+        }
+
+        // Add to different physbody array depending on type; for physics updates
+        if (body instanceof DynamicBody) {
+            this.dynamicBodies.push(body);
+        } else if (body instanceof KinematicBody) {
+            this.kinematicBodies.push(body);
+        } else {
+            this.staticBodies.push(body);
+        }
+
+        // Bucket into the broadphase; static bodies are indexed once here, dynamic bodies are re-bucketed every physics step
+        this.broadphase.insert(body);
+
+        body.world = this;
+
+        return this;
+    }
+
+    /**
+     * Removes a physbody from this world, along with its contacts
+     * @param {Physbody} body The physbody to remove
+     * @returns {PhysicsWorld} Returns self for chaining
+     */
+    remove(body) {
+
+        for (const bodies of [this.dynamicBodies, this.kinematicBodies, this.staticBodies]) {
+            const index = bodies.indexOf(body);
+
+            if (index != -1) {
+                bodies.splice(index, 1);
+            }
+        }
+
+        this.broadphase.remove(body);
+
+        // Forget the contacts of the physbody without firing exit events; it's no longer around to touch anything
+        this._contacts.delete(body);
+        this._contacts.forEach(others => others.delete(body));
+
+        // Triggers do fire exit events for bodies leaving the world, as game logic tracks what's inside them; a removed trigger is simply emptied
+        if (body instanceof TriggerBody) {
+            body._occupants = new Set();
+            this._occupiedTriggers.delete(body);
+        }
+
+        for (const trigger of Array.from(this._occupiedTriggers)) {
+            trigger.removeOccupant(body);
+
+            if (trigger._occupants.size == 0) {
+                this._occupiedTriggers.delete(trigger);
+            }
+        }
+
+        body.world = null;
+
+        return this;
+    }
+
+    /**
+     * Step the game physics forwards in real time with respect to the data of all the dynamic physbodies. Uses linear interpolation formula along
+     * with passed dt parameter, or the amount of time a physics update takes in order to update physics independently of render updates.
+     * The step function is handled in three distinct sections:
+     * - Timing handling
+     * - Physics calculations, @see PhysicsWorld.simulate
+     * - Linear interpolation
+     * 
+     * @param {Number} dt Delta time, or the change in time required for a physics update to occur. Measured in seconds. Defaults to the world's timestep.
+     */
+    step(dt = this.timestep) {
+
+        /**
+         * Timing handling
+         */
+        
+        // Uses the physics clock to grab high resolution time in ms
+        const now = this.clock();
+
+        // The first step has no last frame to measure from
+        if (this.lastFrame == null) {
+            this.lastFrame = now;
+        }
+
+        // Amount of time between last frame and this frame in seconds
+        let frameTime = (now - this.lastFrame) / 1000;
+
+        // If the frame time is larger then the specified maximum, cap it; slows down physics but alleviates "sprial of death"
+        if (frameTime > Physics.MAX_PHYS_FRAME_TIME) {
+            frameTime = Physics.MAX_PHYS_FRAME_TIME;
+        }
+
+        // Set the last frame time to now for next step
+        this.lastFrame = now;
+
+        // Add the frame time to the physics accumulator
+        this.accumulator += frameTime;
+
+        /**
+         * Physics calculations
+         */
+
+        // If frame time accumulator is greater than or equal to one time step, loop through and decrement accumulator by one time step
+        while (this.accumulator >= dt) {
+
+            this.simulate(dt);
+
+            // Decrement frame time accumulator by one time step
+            this.accumulator -= dt;
+        }
+
+        /**
+         * Linear interpolation
+         */
+
+        this.interpolate(this.accumulator / dt);
+    }
+
+    /**
+     * Steps the game physics forwards a fixed number of time steps, regardless of how much real time has passed; for headless simulation, tests, replays
+     * and running faster than real time. Neither reads the physics clock nor touches the accumulator, so the same bodies and inputs always simulate to the
+     * exact same result.
+     * @param {Number} dt The time step, in seconds. Defaults to the world's timestep.
+     * @param {Number} n The number of time steps to simulate. Defaults to 1.
+     */
+    stepFixed(dt = this.timestep, n = 1) {
+        for (let i = 0; i < n; i++) {
+            this.simulate(dt);
+        }
+
+        // Physbodies are exactly at their simulated state; nothing to interpolate towards
+        this.interpolate(1);
+    }
+
+    /**
+     * Simulates a single time step of the game physics; moves every physbody, then checks and resolves all collisions
+     * @param {Number} dt The time step, in seconds
+     */
+    simulate(dt) {
+
+        // Snapshot input for this step, if it's snapshotted every step rather than every tick, at the simulated time; only the active world's steps
+        // count, so worlds stepped alongside it don't take extra snapshots
+        if (Physics.stepInput && this == Physics.world) {
+            updateInput(this.stepCount * dt);
+        }
+
+        // Run the step listeners; game logic that has to line up with physics steps
+        for (const callback of this._stepListeners) {
+            callback(dt, this);
+        }
+
+        // Move kinematic bodies first, so dynamic bodies can ride along with them and be pushed out of their way
+        for (const body of this.kinematicBodies) {
+            body.updateCache();
+            body.move(dt);
+            this.broadphase.update(body);
+        }
+
+        // Iterate through dynamic bodies array and apply physics calculations to them; Sympletic Euclidian physics update
+        for (const body of this.dynamicBodies) {
+
+            // Update cached location of physbody
+            body.updateCache();
+
+            // Count down the physbodies this physbody is ignoring
+            body.updateIgnored(dt);
+
+            // Carry the physbody along with the kinematic body it is standing on
+            if (body._platform != null) {
+                body.x += body._platform._delta.x;
+                body.y += body._platform._delta.y;
+            }
+
+            // Update the physbody's velocity first, then clear the forces applied to it for this step
+            body.vx += (this.gravity.x + body.ax + body._force.x / body.mass) * dt;
+            body.vy += (this.gravity.y + body.ay + body._force.y / body.mass) * dt;
+            body._force.x = 0;
+            body._force.y = 0;
+
+            // Slow the physbody down according to its linear drag
+            const damping = Math.max(0, 1 - body.drag * dt);
+            body.vx *= damping;
+            body.vy *= damping;
+
+            // Then, update the physbody's position
+            body.x += body.vx * dt;
+            body.y += body.vy * dt;
+
+            // Sweep the physbody from its last position so it can't tunnel through thin static bodies
+            CollisionHandler.sweepBody(body);
+
+            // Re-bucket the physbody in the broadphase now that it has moved
+            this.broadphase.update(body);
+        }
+
+        // Check all collisions
+        CollisionHandler.checkAllCollisions(this);
+
+        // Resolve all collisions
+        CollisionHandler.resolveAllCollisions(this);
+
+        // Count how long each dynamic body has been grounded or airborne for
+        for (const body of this.dynamicBodies) {
+            if (body.grounded) {
+                body.groundedTime += dt;
+                body.airborneTime = 0;
+            } else {
+                body.airborneTime += dt;
+                body.groundedTime = 0;
+            }
+        }
+
+        // Count the time steps simulated so far
+        this.stepCount++;
     }
 
     /**
-     * @returns {Number} Returns the top-side (y) coordinate of this AABB
+     * Passes the interpolation alpha to every dynamic and kinematic body for lerp body calculations
+     * @param {Number} alpha The percentage of one time step the lerp bodies should be moved towards the current state
      */
-    get top() {
-        return this.min.y;
+    interpolate(alpha) {
+
+        // Pass alpha, or percentage of one time step remaining to pass, to the dynamic bodies for lerp body calculations
+        for (const body of this.dynamicBodies) {
+            body.alpha = alpha;
+        }
+
+        // Kinematic bodies are interpolated the same way
+        for (const body of this.kinematicBodies) {
+            body.alpha = alpha;
+        }
     }
 
     /**
-     * @returns {Number} Returns the bottom-side (y) coordinate of this AABB
+     * Returns all currently "alive" physbodies, starting with the dynamic bodies, then the kinematic bodies
      */
-    get bottom() {
-        return this.min.y + this.height;
+    getBodies() {
+        return this.dynamicBodies.concat(this.kinematicBodies, this.staticBodies);
     }
 
     /**
-     * @returns {Vector2} Returns the midpoint of this AABB as a 2D vector
+     * Finds the physbodies containing a point
+     * @param {Vector2} point The point to query, in global coordinates
+     * @param {Number} mask Bitmask of the collision layers to include. Defaults to every layer.
+     * @returns {Array<Physbody>} Returns every physbody whose AABB contains the point, triggers included
      */
-    get mid() {
-        return new Vector2(this.min.x + this.width / 2, this.min.y + this.height / 2)
+    queryPoint(point, mask = 0xFFFFFFFF) {
+        return this.queryAABB(new AABB(point, point), mask);
     }
 
     /**
-     * Clones this AABB
-     * @returns {AABB} Returns an exact clone of this AABB
+     * Finds the physbodies overlapping an area
+     * @param {AABB} aabb The area to query, in global coordinates
+     * @param {Number} mask Bitmask of the collision layers to include. Defaults to every layer.
+     * @returns {Array<Physbody>} Returns every physbody whose AABB overlaps the area, triggers included
      */
-    clone() {
-        return new AABB(this.min.clone(), this.max.clone());
-    }
-}
+    queryAABB(aabb, mask = 0xFFFFFFFF) {
+        const found = [];
 
-export class Physbody {
+        for (const body of this.broadphase.query(aabb)) {
+            if ((body.category & mask) != 0 && CollisionHandler.isColliding(aabb, body.body)) {
+                found.push(body);
+            }
+        }
+
+        return found;
+    }
 
     /**
-     * Creates a physbody, or a physics entity with dimension, position, and capable of "defending" its position in space
-     * @param {Vector2} pos The top-left coordinate, or position, of this physbody
-     * @param {Number} width The width of this physbody
-     * @param {Number} height The height of this physbody
-     * @param {PIXI.Sprite} sprite The sprite component attached to this physbody
+     * Casts a ray and finds the first solid physbody it hits. Triggers, physbodies the origin is inside, and one-way platforms hit from anywhere but above
+     * are passed through; a physbody whose side the origin lies on is hit there, at a distance of 0, e.g. the ground under the feet of a grounded body.
+     * @param {Vector2} origin The start of the ray, in global coordinates
+     * @param {Vector2} direction The direction of the ray; doesn't need to be normalized
+     * @param {Number} maxDistance The length of the ray
+     * @param {Number} mask Bitmask of the collision layers to include. Defaults to every layer.
+     * @returns {*} Returns the hit; the physbody, the point hit, the normal of the side hit and the distance along the ray. Returns null if nothing was hit,
+     * or if the direction has no length.
      */
-    constructor(pos, width, height, sprite = new PIXI.Sprite(PIXI.Texture.WHITE)) {
+    raycast(origin, direction, maxDistance, mask = 0xFFFFFFFF) {
 
-        // Assign AABB
-        this.body = new AABB(pos, {x: pos.x + width, y: pos.y + height});
+        // Normalize the direction so distances along the ray are in world units
+        const length = Math.sqrt(direction.x * direction.x + direction.y * direction.y);
 
-        // Assign sprite
-        this.sprite = sprite;
+        // A ray without a direction has nowhere to go
+        if (length == 0) {
+            return null;
+        }
+        const dx = direction.x / length;
+        const dy = direction.y / length;
 
-        // Add to different physbody array depending on type; for physics updates
-        if (this instanceof DynamicBody) {
-            Physics.dynamicBodies.push(this);
-        } else {
-            Physics.staticBodies.push(this);
+        // Area covered by the ray
+        const end = new Vector2(origin.x + dx * maxDistance, origin.y + dy * maxDistance);
+        const bounds = new AABB(
+            new Vector2(Math.min(origin.x, end.x), Math.min(origin.y, end.y)),
+            new Vector2(Math.max(origin.x, end.x), Math.max(origin.y, end.y)),
+        );
+
+        let closest = null;
+
+        for (const body of this.broadphase.query(bounds)) {
+
+            if (body instanceof TriggerBody || (body.category & mask) == 0) {
+                continue;
+            }
+
+            // Slab test; distances along the ray at which it enters and leaves the AABB, and the normal of the side it enters through
+            const aabb = body.body;
+            let near = -Infinity;
+            let far = maxDistance;
+            let normal = null;
+            let missed = false;
+
+            if (dx == 0) {
+                missed = origin.x < aabb.left || origin.x > aabb.right;
+            } else {
+                const t1 = (aabb.left - origin.x) / dx;
+                const t2 = (aabb.right - origin.x) / dx;
+
+                if (Math.min(t1, t2) > near) {
+                    near = Math.min(t1, t2);
+                    normal = new Vector2(-Math.sign(dx), 0);
+                }
+
+                far = Math.min(far, Math.max(t1, t2));
+            }
+
+            if (dy == 0) {
+                missed = missed || origin.y < aabb.top || origin.y > aabb.bottom;
+            } else {
+                const t1 = (aabb.top - origin.y) / dy;
+                const t2 = (aabb.bottom - origin.y) / dy;
+
+                if (Math.min(t1, t2) > near) {
+                    near = Math.min(t1, t2);
+                    normal = new Vector2(0, -Math.sign(dy));
+                }
+
+                far = Math.min(far, Math.max(t1, t2));
+            }
+
+            // Entering behind the origin means the ray started inside the AABB; entering right at it means it started on its side
+            if (missed || near < 0 || near > far) {
+                continue;
+            }
+
+            // One-way platforms can only be hit from above
+            if (body.oneWay && normal.y >= 0) {
+                continue;
+            }
+
+            if (closest == null || near < closest.distance) {
+                closest = {
+                    body: body,
+                    point: new Vector2(origin.x + dx * near, origin.y + dy * near),
+                    normal: normal,
+                    distance: near,
+                };
+            }
         }
-    }
 
-    /**
-     * @returns {Number} Returns the x-coordinate of the physbody
-     */
-    get x() {
-        return this.body.x;
-    }
-    
-    /**
-     * @returns {Number} Returns the y-coordinate of the physbody
-     */
-    get y() {
-        return this.body.y;
+        return closest;
     }
 
     /**
-     * Sets the parent of this physbody to the container supplied
-     * @param {PIXI.Container} container The container to make this physbody's parent
-     * @returns {Physbody} Returns self for chaining or single line declarations
+     * Moves an AABB along a vector and finds the first solid physbody it hits. Triggers, physbodies the AABB already overlaps, and one-way platforms hit from
+     * anywhere but above are passed through.
+     * @param {AABB} aabb The AABB to cast, in global coordinates
+     * @param {Vector2} vector The movement of the AABB
+     * @param {Number} mask Bitmask of the collision layers to include. Defaults to every layer.
+     * @returns {*} Returns the hit; the physbody, the top-left position of the AABB at impact, the normal of the side hit, the fraction of the movement made
+     * and the distance moved. Returns null if nothing was hit.
      */
-    setParent(container) {
-        this.sprite.setParent(container);
-        return this;
-    }
-}
+    shapeCast(aabb, vector, mask = 0xFFFFFFFF) {
 
-export class DynamicBody extends Physbody {
+        // Area covered by the AABB during its movement
+        const bounds = new AABB(
+            new Vector2(Math.min(aabb.left, aabb.left + vector.x), Math.min(aabb.top, aabb.top + vector.y)),
+            new Vector2(Math.max(aabb.right, aabb.right + vector.x), Math.max(aabb.bottom, aabb.bottom + vector.y)),
+        );
 
-    /**
-     * Creates a dynamic physbody, or a physbody which is able to move around in the world and receive forces
-     * @param {Vector2} pos The top-left coordinate, or position, of this physbody
-     * @param {Number} width The width of this physbody
-     * @param {Number} height The height of this physbody
-     * @param {PIXI.Sprite} sprite The sprite component attached to this physbody
-     */
-    constructor(pos, width, height, sprite = new PIXI.Sprite(PIXI.Texture.WHITE)) {
+        let closest = null;
 
-        /**
-         * Calls super constructor, @see Physbody
-         */
-        super(pos, width, height, sprite);
+        for (const body of this.broadphase.query(bounds)) {
 
-        // Velocity properties
-        this.vx = 0;
-        this.vy = 0;
-        
-        // Acceleration properties
-        this.ax = 0;
-        this.ay = 0;
+            if (body instanceof TriggerBody || (body.category & mask) == 0) {
+                continue;
+            }
 
-        // Boolean for if this physbody is "grounded," or on the ground
-        this.grounded = false;
+            const impact = CollisionHandler.sweptAABB(aabb, vector, body.body);
 
-        // The alpha for latest lerp, or the percentage through the next step physics step the lerp body should be moved to
-        this.alpha = 0;
+            if (impact == null || (body.oneWay && impact.normal.y >= 0)) {
+                continue;
+            }
 
-        // Internal last state of this physbody
-        this._last = this.body.clone();
+            if (closest == null || impact.time < closest.time) {
+                closest = {
+                    body: body,
+                    position: new Vector2(aabb.left + vector.x * impact.time, aabb.top + vector.y * impact.time),
+                    normal: impact.normal,
+                    time: impact.time,
+                    distance: Math.sqrt(vector.x * vector.x + vector.y * vector.y) * impact.time,
+                };
+            }
+        }
 
-        // Internal body representing the linearly interpolated position of this physbody
-        this._lerpBody = this.body.clone();
+        return closest;
     }
 
     /**
-     * @returns {Number} Returns the x-coordinate of the physbody
+     * Resets this world to a clean slate; purges all physics entities, unsubscribes all listeners and forgets all timing state, so a simulation can be
+     * started over exactly
      */
-    get x() {
-        return this.body.x;
-    }
+    reset() {
+        this.purgeEntities();
+        this.accumulator = 0;
+        this.lastFrame = null;
+        this.stepCount = 0;
+
+        for (const type in this._listeners) {
+            this._listeners[type].length = 0;
+        }
 
-    /**
-     * Updates the x-coordinate of this physbody to the new value, and updates the sprite and cached body
-     * @param {Number} x The new x-coordinate of this physbody
-     */
-    set x(x) {
-        const dx = x - this.body.x;
-        this.body.x += dx;
-        // this.sprite.x += dx;
-        // this._last.x = this.body.x - dx;
+        this._stepListeners.length = 0;
     }
 
     /**
-     * @returns {Number} Returns the y-coordinate of the physbody
+     * Purges all physics entities by clearing each physbody type's respective array
      */
-    get y() {
-        return this.body.y;
+    purgeEntities() {
+        this.getBodies().forEach(body => body.world = null);
+        this.dynamicBodies.length = 0;
+        this.kinematicBodies.length = 0;
+        this.staticBodies.length = 0;
+        this.broadphase.clear();
+        this._contacts.clear();
+
+        // Empty the triggers without firing exit events; every physbody is gone at once
+        this._occupiedTriggers.forEach(trigger => trigger._occupants = new Set());
+        this._occupiedTriggers.clear();
     }
 
     /**
-     * Updates the y-coordinate of this physbody to the new value, and updates the sprite and cached body
-     * @param {Number} y The new y-coordinate of this physbody
+     * Iterates through the currently "alive" dynamic and kinematic bodies and updates their sprites according to each body's respective lerp body
      */
-    set y(y) {
-        const dy = y - this.body.y;
-        this.body.y += dy;
-        // this.sprite.y += dy;
-        // this._last.y = this.body.y - dy;
+    updateSprites() {
+        this.dynamicBodies.forEach(body => body.updateSprite());
+        this.kinematicBodies.forEach(body => body.updateSprite());
     }
 
     /**
-     * Calculates the interpolated position of the lerp body, updates the internal lerp body, and returns it.
-     * @returns {AABB} Returns the internal lerp body after updating its positions according to latest physics alpha. @see Physics.step
+     * Subscribes to any two physbodies in this world starting to collide
+     * @param {Function<CollisionEvent>} callback The function to call with the collision event. @see CollisionHandler.emitCollision
+     * @returns {PhysicsWorld} Returns self for chaining
      */
-    get lerpBody() {
-        this._lerpBody.x = this.body.mid.x * this.alpha + this._last.mid.x * (1.0 - this.alpha);
-        this._lerpBody.y = this.body.mid.y * this.alpha + this._last.mid.y * (1.0 - this.alpha);
-        return this._lerpBody;
+    onCollisionEnter(callback) {
+        this._listeners.enter.push(callback);
+        return this;
     }
 
     /**
-     * Updates the internal AABB (cache) representing the last state of this physbody
+     * Subscribes to any two physbodies in this world still colliding since last physics step
+     * @param {Function<CollisionEvent>} callback The function to call with the collision event. @see CollisionHandler.emitCollision
+     * @returns {PhysicsWorld} Returns self for chaining
      */
-    updateCache() {
-        this._last.x = this.x;
-        this._last.y = this.y;
-        this._last.width = this.body.width;
-        this._last.height = this.body.height;
+    onCollisionStay(callback) {
+        this._listeners.stay.push(callback);
+        return this;
     }
 
     /**
-     * Updates the sprite attached to this physbody with respect to the internal lerp body. Renders in local coordinates.
+     * Subscribes to any two physbodies in this world no longer colliding
+     * @param {Function<CollisionEvent>} callback The function to call with the collision event. @see CollisionHandler.emitCollision
+     * @returns {PhysicsWorld} Returns self for chaining
      */
-    updateSprite() {
-        const localVector = Camera.toScreenCoordinates(this.lerpBody.min);
-        this.sprite.x = localVector.x;
-        this.sprite.y = localVector.y;
+    onCollisionExit(callback) {
+        this._listeners.exit.push(callback);
+        return this;
     }
-}
-
-export class StandardBody extends Physbody {
 
     /**
-     * 
-     * @param {Vector2} pos The top-left coordinate, or position, of this physbody
-     * @param {Number} width The width of this physbody
-     * @param {Number} height The height of this physbody
-     * @param {*} appearance An options object containing a color and or texture. This parameter is optional, as it has defaults.
+     * Unsubscribes a function from all of this world's collision events
+     * @param {Function<CollisionEvent>} callback The function to unsubscribe
+     * @returns {PhysicsWorld} Returns self for chaining
      */
-    constructor(pos, width, height, appearance = {}) {
+    offCollision(callback) {
+        for (const type in this._listeners) {
+            const listeners = this._listeners[type];
+            const index = listeners.indexOf(callback);
 
-        // The default appearance options object, used to fill in gaps of missing parameters
-        const defaults = {
-            color: 0xFFFFFF,
-            texture: PIXI.Texture.WHITE,
-        };
-
-        // Fill in missing gaps in supplied appearence options
-        appearance = Object.assign({}, defaults, appearance);
-
-        // Make sprite
-        const sprite = new PIXI.Sprite(appearance.texture);
-
-        /**
-         * Call super constructor, @see Physbody
-         */
-        super(pos, width, height, sprite);
+            if (index != -1) {
+                listeners.splice(index, 1);
+            }
+        }
 
-        // Assign attributes to attached sprite
-        this.sprite.x = pos.x;
-        this.sprite.y = pos.y;
-        this.sprite.width = width;
-        this.sprite.height = height;
-        this.sprite.tint = appearance.color;
+        return this;
     }
-}
-
-export class Camera {
 
     /**
-     * Converts global coordinates to screen coordinates
-     * @param {Vector2} global The global coordinates to convert
-     * @returns {Vector2} Returns the screen coordinates converted from the supplied vector
+     * Subscribes to this world's time steps; the function is called at the start of each one, after input is snapshotted when @see Physics.stepInput is on
+     * and this is the active world.
+     * Game logic run here lines up exactly with the simulation, so it replays deterministically.
+     * @param {Function<Number, PhysicsWorld>} callback The function to call with the time step, in seconds, and this world
+     * @returns {PhysicsWorld} Returns self for chaining
      */
-    static toScreenCoordinates(global) {
-        return new Vector2(global.x - Camera.x, global.y - Camera.y);
+    onStep(callback) {
+        this._stepListeners.push(callback);
+        return this;
     }
 
     /**
-     * Converts screen coordinates to global coordinates
-     * @param {Vector2} screen The screen coordinates to convert
-     * @returns {Vector2} Returns the global coordinates converted from the supplied vector
+     * Unsubscribes a function from this world's time steps
+     * @param {Function<Number, PhysicsWorld>} callback The function to unsubscribe
+     * @returns {PhysicsWorld} Returns self for chaining
      */
-    static toGlobalCoordinates(screen) {
-        return new Vector2(screen.x + Camera.x, screen.y + Camera.y);
-    }
-}
-
-// Define static internal camera position property
-Object.defineProperty(Camera, '_pos', {
-    value: Vector2.zero,
-    writable: false,
-    enumerable: true,
-    configurable: false,
-});
-
-// Define getter and setter for the Camera x-coordinate property
-Object.defineProperty(Camera, 'x', {
-    get() {
-        return Camera._pos.x;
-    },
+    offStep(callback) {
+        const index = this._stepListeners.indexOf(callback);
 
-    set(x) {
-        const diff = x - Camera._pos.x;
-        Camera._pos.x = x;
-        for (const body of Physics.getBodies()) {
-            body.sprite.x -= diff;
+        if (index != -1) {
+            this._stepListeners.splice(index, 1);
         }
-    },
-});
-
-// Define getter and setter for the Camera y-coordinate property
-Object.defineProperty(Camera, 'y', {
-    get() {
-        return Camera._pos.y;
-    },
 
-    set(y) {
-        const diff = y - Camera._pos.y;
-        Camera._pos.y = y;
-        for (const body of Physics.getBodies()) {
-            body.sprite.y -= diff;
-        }
-    },
-});
+        return this;
+    }
+}
 
 export class Physics {
 
     /**
-     * Step the game physics one iteration forwards with respect to the data of all the dynamic physbodies. Uses linear interpolation formula along
-     * with passed dt parameter, or the amount of time a physics update takes in order to update physics independently of render updates.
-     * The step function is handled in three distinct sections:
-     * - Timing handling
-     * - Physics calculations
-     * - Linear interpolation
-     * 
+     * Steps the active world forwards in real time. @see PhysicsWorld.step
      * @param {Number} dt Delta time, or the change in time required for a physics update to occur. Measured in seconds.
      */
     static step(dt) {
+        Physics.world.step(dt);
+    }
 
-        /**
-         * Timing handling
-         */
-        
-        // Uses perf.now to grab high resolution time in ms
-        const now = performance.now();
+    /**
+     * Steps the active world forwards a fixed number of time steps. @see PhysicsWorld.stepFixed
+     * @param {Number} dt The time step, in seconds
+     * @param {Number} n The number of time steps to simulate. Defaults to 1.
+     */
+    static stepFixed(dt, n = 1) {
+        Physics.world.stepFixed(dt, n);
+    }
 
-        // Amount of time between last frame and this frame in seconds
-        let frameTime = (now - Physics.lastFrame) / 1000;
+    /**
+     * Returns all currently "alive" physbodies of the active world. @see PhysicsWorld.getBodies
+     */
+    static getBodies() {
+        return Physics.world.getBodies();
+    }
 
-        // If the frame time is larger then the specified maximum, cap it; slows down physics but alleviates "sprial of death"
-        if (frameTime > Physics.MAX_PHYS_FRAME_TIME) {
-            frameTime = Physics.MAX_PHYS_FRAME_TIME;
-        }
+    /**
+     * Finds the physbodies of the active world containing a point. @see PhysicsWorld.queryPoint
+     * @param {Vector2} point The point to query, in global coordinates
+     * @param {Number} mask Bitmask of the collision layers to include. Defaults to every layer.
+     * @returns {Array<Physbody>} Returns every physbody whose AABB contains the point, triggers included
+     */
+    static queryPoint(point, mask = 0xFFFFFFFF) {
+        return Physics.world.queryPoint(point, mask);
+    }
 
-        // Set the last frame time to now for next step
-        Physics.lastFrame = now;
+    /**
+     * Finds the physbodies of the active world overlapping an area. @see PhysicsWorld.queryAABB
+     * @param {AABB} aabb The area to query, in global coordinates
+     * @param {Number} mask Bitmask of the collision layers to include. Defaults to every layer.
+     * @returns {Array<Physbody>} Returns every physbody whose AABB overlaps the area, triggers included
+     */
+    static queryAABB(aabb, mask = 0xFFFFFFFF) {
+        return Physics.world.queryAABB(aabb, mask);
+    }
 
-        // Add the frame time to the physics accumulator
-        Physics.accumulator += frameTime;
+    /**
+     * Casts a ray through the active world. @see PhysicsWorld.raycast
+     * @param {Vector2} origin The start of the ray, in global coordinates
+     * @param {Vector2} direction The direction of the ray; doesn't need to be normalized
+     * @param {Number} maxDistance The length of the ray
+     * @param {Number} mask Bitmask of the collision layers to include. Defaults to every layer.
+     * @returns {*} Returns the hit, or null if nothing was hit or the direction has no length
+     */
+    static raycast(origin, direction, maxDistance, mask = 0xFFFFFFFF) {
+        return Physics.world.raycast(origin, direction, maxDistance, mask);
+    }
 
-        /**
-         * Physics calculations
-         */
+    /**
+     * Casts an AABB through the active world. @see PhysicsWorld.shapeCast
+     * @param {AABB} aabb The AABB to cast, in global coordinates
+     * @param {Vector2} vector The movement of the AABB
+     * @param {Number} mask Bitmask of the collision layers to include. Defaults to every layer.
+     * @returns {*} Returns the hit, or null if nothing was hit
+     */
+    static shapeCast(aabb, vector, mask = 0xFFFFFFFF) {
+        return Physics.world.shapeCast(aabb, vector, mask);
+    }
 
-        // If frame time accumulator is greater than or equal to one time step, loop through and decrement accumulator by one time step
-        while (Physics.accumulator >= dt) {
+    /**
+     * Resets the active world to a clean slate. @see PhysicsWorld.reset
+     */
+    static reset() {
+        Physics.world.reset();
+    }
 
-            // Iterate through dynamic bodies array and apply physics calculations to them; Sympletic Euclidian physics update
-            for (const body of Physics.dynamicBodies) {
+    /**
+     * Purges all physics entities of the active world. @see PhysicsWorld.purgeEntities
+     */
+    static purgeEntities() {
+        Physics.world.purgeEntities();
+    }
 
-                // Update cached location of physbody
-                body.updateCache();
+    /**
+     * Declares the named collision layers, replacing any previously declared ones. The "default" layer always exists and is the first bit; every
+     * other layer is assigned the next bit in the order given.
+     * @param {Array<String>} names The names of the layers to declare; at most 31
+     */
+    static defineLayers(names) {
 
-                // Update the physbody's velocity first
-                body.vx += body.ax * dt;
-                body.vy += body.ay * dt;
+        if (names.length > 31) {
+            throw new Error('Cannot declare more than 31 collision layers');
+        }
 
-                // Then, update the physbody's position
-                body.x += body.vx * dt;
-                body.y += body.vy * dt;
-            }
+        Physics.layers.clear();
+        Physics.layers.set('default', 1);
 
-            // Check all collisions
-            CollisionHandler.checkAllCollisions();
+        names.forEach((name, i) => Physics.layers.set(name, 1 << (i + 1)));
+    }
 
-            // Resolve all collisions
-            CollisionHandler.resolveAllCollisions();
+    /**
+     * Gets the bit of a named collision layer
+     * @param {String} name The name of the layer
+     * @returns {Number} Returns the bit of the layer
+     */
+    static layer(name) {
 
-            // Decrement frame time accumulator by one time step
-            Physics.accumulator -= dt;
+        if (!Physics.layers.has(name)) {
+            throw new Error(`Unknown collision layer '${name}'`);
         }
 
-        // What percentage is the remaining frame time accumulator of one time step
-        const alpha = Physics.accumulator / dt;
-        
-        /**
-         * TODO is this where I want to handle physbody grounded checks?
-         * Dynamic physbody handlers that happen regardless of physics accumulator:
-         * - If the physbody has no vertical velocity, it is grounded
-         * - Pass calculated alpha value to the phsybody for lerp body calculations
-         */
-        for (const body of Physics.dynamicBodies) {
+        return Physics.layers.get(name);
+    }
 
-            // If this physbody has no vertical velocity, set its state to grounded
-            if (body.vy == 0) {
-                body.grounded = true;
-            } else {
-                body.grounded = false;
-            }
-            
-            // Pass calculated alpha, or percentage of one time step remaining to pass for lerp body calculations
-            body.alpha = alpha;
-        }
+    /**
+     * Combines collision layers into a single bitmask
+     * @param {Array<*>} layers The names of declared layers, or raw bitmasks
+     * @returns {Number} Returns the combined bitmask
+     */
+    static toBits(layers) {
+        return layers.reduce((bits, layer) => bits | (typeof layer == 'number' ? layer : Physics.layer(layer)), 0);
     }
 
     /**
-     * Returns all currently "alive" physbodies, starting with the dynamic bodies
+     * Updates the sprites of the active world's dynamic and kinematic bodies. @see PhysicsWorld.updateSprites
      */
-    static getBodies() {
-        return Physics.dynamicBodies.concat(Physics.staticBodies);
+    static updateSprites() {
+        Physics.world.updateSprites();
     }
 
     /**
-     * Purges all physics entities by clearing each physbody type's respective array
+     * Subscribes to the active world's time steps. @see PhysicsWorld.onStep
+     * @param {Function<Number, PhysicsWorld>} callback The function to call with the time step, in seconds, and the world
+     * @returns {PhysicsWorld} Returns the active world for chaining
      */
-    static purgeEntities() {
-        Physics.dynamicBodies.length = 0;
-        Physics.staticBodies.length = 0;
+    static onStep(callback) {
+        return Physics.world.onStep(callback);
     }
 
     /**
-     * Iterates through the currently "alive" dynamic bodies and updates their sprites according to each body's respective lerp body
+     * Unsubscribes a function from the active world's time steps. @see PhysicsWorld.offStep
+     * @param {Function<Number, PhysicsWorld>} callback The function to unsubscribe
+     * @returns {PhysicsWorld} Returns the active world for chaining
      */
-    static updateSprites() {
-        Physics.dynamicBodies.forEach(body => body.updateSprite());
+    static offStep(callback) {
+        return Physics.world.offStep(callback);
     }
 }
 
-// Time of last frame
-Physics.lastFrame = performance.now();
+// Define static property as the active world; new physbodies are added to it, and the static physics functions act on it. Loading a scene makes its world active.
+Object.defineProperty(Physics, 'world', {
+    value: new PhysicsWorld(),
+    writable: true,
+    enumerable: true,
+    configurable: false,
+});
+
+// Define static properties delegating to the active world's physbody arrays and broadphase
+for (const name of ['dynamicBodies', 'kinematicBodies', 'staticBodies', 'broadphase']) {
+    Object.defineProperty(Physics, name, {
+        get() {
+            return Physics.world[name];
+        },
+        enumerable: false,
+        configurable: false,
+    });
+}
 
-// Accumulator for frame time remainder when divided into time step sized pieces
-Physics.accumulator = 0;
+// Define static properties delegating to the active world's timing state
+for (const name of ['clock', 'lastFrame', 'accumulator', 'stepCount']) {
+    Object.defineProperty(Physics, name, {
+        get() {
+            return Physics.world[name];
+        },
+        set(value) {
+            Physics.world[name] = value;
+        },
+        enumerable: false,
+        configurable: false,
+    });
+}
 
 // Define static property as a constant determining the largest frame time allowed to impact physics calculations
 Object.defineProperty(Physics, 'MAX_PHYS_FRAME_TIME', {
@@ -797,19 +3605,20 @@ Object.defineProperty(Physics, 'MAX_PHYS_FRAME_TIME', {
     configurable: false,
 });
 
-// Defines static property as an array containing all the currently "alive" dynamic bodies
-Object.defineProperty(Physics, 'dynamicBodies', {
-    value: [],
-    writable: false,
-    enumerable: false,
+// Define static property determining whether input is snapshotted at the start of every physics time step of the active world, rather than every
+// tick; for deterministic recording and replay. Input edges, e.g. presses, then have to be read in step listeners, not ticker functions. @see PhysicsWorld.onStep
+Object.defineProperty(Physics, 'stepInput', {
+    value: false,
+    writable: true,
+    enumerable: true,
     configurable: false,
 });
 
-// Defines static property as an array containing all the currently "alive" dynamic bodies
-Object.defineProperty(Physics, 'staticBodies', {
-    value: [],
+// Defines static property as a map of the declared collision layer names to their bits; @see Physics.defineLayers
+Object.defineProperty(Physics, 'layers', {
+    value: new Map([['default', 1]]),
     writable: false,
-    enumerable: false,
+    enumerable: true,
     configurable: false,
 });
 
@@ -835,6 +3644,139 @@ export class CollisionHandler {
         return true;
     }
 
+    /**
+     * Swept AABB time of impact calculator: finds when, if at all, a moving AABB first touches a stationary AABB as it moves along a displacement
+     * @param {AABB} moving The AABB at the start of its movement
+     * @param {Vector2} displacement The movement of the AABB
+     * @param {AABB} other The stationary AABB
+     * @returns {*} Returns the time of impact, as a fraction of the displacement from 0 to 1, and the normal the moving AABB hits along. Returns null if the AABBs
+     * don't touch during the movement, or are already overlapping at the start of it.
+     */
+    static sweptAABB(moving, displacement, other) {
+
+        // Times at which the AABBs start and stop overlapping on each axis
+        let entryX, exitX, entryY, exitY;
+
+        if (displacement.x > 0) {
+            entryX = (other.left - moving.right) / displacement.x;
+            exitX = (other.right - moving.left) / displacement.x;
+        } else if (displacement.x < 0) {
+            entryX = (other.right - moving.left) / displacement.x;
+            exitX = (other.left - moving.right) / displacement.x;
+        } else if (moving.right <= other.left || moving.left >= other.right) {
+
+            // Not moving on this axis, and never overlapping on it
+            return null;
+        } else {
+            entryX = -Infinity;
+            exitX = Infinity;
+        }
+
+        if (displacement.y > 0) {
+            entryY = (other.top - moving.bottom) / displacement.y;
+            exitY = (other.bottom - moving.top) / displacement.y;
+        } else if (displacement.y < 0) {
+            entryY = (other.bottom - moving.top) / displacement.y;
+            exitY = (other.top - moving.bottom) / displacement.y;
+        } else if (moving.bottom <= other.top || moving.top >= other.bottom) {
+
+            // Not moving on this axis, and never overlapping on it
+            return null;
+        } else {
+            entryY = -Infinity;
+            exitY = Infinity;
+        }
+
+        // The AABBs touch once they overlap on both axes, and stop once they stop overlapping on either
+        const entry = Math.max(entryX, entryY);
+        const exit = Math.min(exitX, exitY);
+
+        // No impact if they never overlap on both axes at once, already overlap, or only touch after the movement
+        if (entry > exit || entry < 0 || entry > 1) {
+            return null;
+        }
+
+        // The axis entered last is the one that was hit
+        if (entryX > entryY) {
+            return { time: entry, normal: new Vector2(-Math.sign(displacement.x), 0) };
+        } else {
+            return { time: entry, normal: new Vector2(0, -Math.sign(displacement.y)) };
+        }
+    }
+
+    /**
+     * Continuous collision for a dynamic body: if the body is flagged as fast, or moved further than its own size this physics step, sweeps it from its
+     * last state to its current position against nearby static bodies. If it hits one, the body is placed at the first contact on that axis and stopped on it,
+     * so the regular collision resolution picks up the contact instead of the body passing straight through.
+     * @param {DynamicBody} body The dynamic body to sweep
+     */
+    static sweepBody(body) {
+
+        // Movement of the physbody this physics step
+        const last = body._last;
+        const displacement = new Vector2(body.x - last.x, body.y - last.y);
+
+        // Slow bodies can't skip over anything; the end of step overlap check is enough
+        if (!body.fast && Math.abs(displacement.x) <= body.body.width && Math.abs(displacement.y) <= body.body.height) {
+            return;
+        }
+
+        // Area covered by the physbody during its movement
+        const swept = new AABB(
+            new Vector2(Math.min(last.left, body.body.left), Math.min(last.top, body.body.top)),
+            new Vector2(Math.max(last.right, body.body.right), Math.max(last.bottom, body.body.bottom)),
+        );
+
+        // Find the earliest impact with a nearby static body
+        let first = null;
+
+        for (const otherBody of body.world.broadphase.query(swept)) {
+
+            // Only solid static bodies the physbody is allowed to collide with can be tunneled through
+            if (otherBody instanceof DynamicBody
+                || otherBody instanceof KinematicBody
+                || otherBody instanceof TriggerBody
+                || !CollisionHandler.canCollide(body, otherBody)
+                || body.isIgnoring(otherBody)) {
+                continue;
+            }
+
+            const impact = CollisionHandler.sweptAABB(last, displacement, otherBody.body);
+
+            // One-way platforms can only be hit from above
+            if (impact != null && otherBody.oneWay && impact.normal.y >= 0) {
+                continue;
+            }
+
+            if (impact != null && (first == null || impact.time < first.time)) {
+                first = impact;
+            }
+        }
+
+        if (first == null) {
+            return;
+        }
+
+        // Place the physbody at the first contact along the axis it hit and stop it there; movement along the other axis is kept
+        if (first.normal.x != 0) {
+            body.x = last.x + displacement.x * first.time;
+            body.vx = 0;
+        } else {
+            body.y = last.y + displacement.y * first.time;
+            body.vy = 0;
+        }
+    }
+
+    /**
+     * Collision layer filter: checks if each physbody's category is in the other's collides-with mask
+     * @param {Physbody} body1 The first physbody
+     * @param {Physbody} body2 The second physbody
+     * @returns {Boolean} Returns true if the physbodies are allowed to collide, false if not
+     */
+    static canCollide(body1, body2) {
+        return (body1.category & body2.mask) != 0 && (body2.category & body1.mask) != 0;
+    }
+
     /**
      * AABB vs AABB collision manifold calculator: calculates the current overlap of two AABBs
      * @param {AABB} body1 The dynamic body in the collision
@@ -856,206 +3798,584 @@ export class CollisionHandler {
     }
 
     /**
-     * Checks the collisions between all dynamic bodies and all static bodies. If there is a collision, push to an array containing all collisions this game step.
-     * The collision array is ordered by overlap area; significance of collision, the most important collision is resolved first.
+     * Checks the collisions between all dynamic bodies and the bodies the broadphase deems nearby. If there is a collision, push to an array containing all
+     * collisions this game step. Collisions against static bodies are ordered by overlap area; significance of collision, the most important collision is resolved
+     * first. Collisions between two dynamic bodies follow, ordered from the bottom of the world upwards so stacks are resolved from their base.
+     * @param {PhysicsWorld} world The world to check. Defaults to the active world.
      */
-    static checkAllCollisions() {
+    static checkAllCollisions(world = Physics.world) {
 
-        // Arrays for dynamic bodies and static bodies
-        const dynamicBodies = Physics.dynamicBodies;
-        const staticBodies = Physics.staticBodies;
+        // Array for dynamic bodies and the broadphase grid
+        const dynamicBodies = world.dynamicBodies;
+        const broadphase = world.broadphase;
+
+        // Dynamic bodies that have already been checked; avoids pairing two dynamic bodies twice
+        const checked = new Set();
+
+        // Reset the candidate pair count for this physics step
+        broadphase.candidatePairs = 0;
 
         // Iterate through array of dynamic bodies
         for (const dynamicBody of dynamicBodies) {
 
-            // Iterate through array of static bodies to check for collisions between each dynamic body and each static body
-            for (const staticBody of staticBodies) {
+            // Iterate through the nearby bodies to check for collisions between each dynamic body and each other body
+            for (const otherBody of broadphase.query(dynamicBody.body)) {
+
+                // A body can't collide with itself, and dynamic pairs are only checked once
+                if (otherBody == dynamicBody || checked.has(otherBody)) {
+                    continue;
+                }
+
+                // Skip pairs whose collision layers don't collide with each other, or that are being ignored
+                if (!CollisionHandler.canCollide(dynamicBody, otherBody)
+                    || dynamicBody.isIgnoring(otherBody)
+                    || (otherBody instanceof DynamicBody && otherBody.isIgnoring(dynamicBody))) {
+                    continue;
+                }
+
+                broadphase.candidatePairs++;
 
                 // If there is a collision between these bodies, calculate its overlap area and push it to the collisions array
-                if (CollisionHandler.isColliding(dynamicBody.body, staticBody.body)) {
+                if (CollisionHandler.isColliding(dynamicBody.body, otherBody.body)) {
 
                     // Collision manifold of the collision between the two supplied bodies; overlap size
-                    const overlap = CollisionHandler.calculateCollisionManifold(dynamicBody.body, staticBody.body);
+                    const overlap = CollisionHandler.calculateCollisionManifold(dynamicBody.body, otherBody.body);
 
                     // Add this collision to the array of collisions this game step
-                    CollisionHandler.collisions.push({
+                    world.collisions.push({
                         dynamicBody: dynamicBody,
-                        staticBody: staticBody,
+                        otherBody: otherBody,
                         overlapArea: overlap.x * overlap.y,
                     });
                 }
             }
+
+            checked.add(dynamicBody);
         }
 
-        // Sort array containing collisions this physics by descending order, pertaining to each collision's overlap area
-        CollisionHandler.collisions.sort((a, b) => {
+        // Sort array containing collisions this physics step; static collisions by overlap area, then dynamic collisions from the lowest pair upwards
+        world.collisions.sort((a, b) => {
+            const aDynamic = a.otherBody instanceof DynamicBody;
+            const bDynamic = b.otherBody instanceof DynamicBody;
+
+            if (aDynamic != bDynamic) {
+                return aDynamic ? 1 : -1;
+            }
+
+            if (aDynamic) {
+                return Math.max(b.dynamicBody.body.bottom, b.otherBody.body.bottom) - Math.max(a.dynamicBody.body.bottom, a.otherBody.body.bottom);
+            }
+
             return a.overlapArea - b.overlapArea
         });
     }
 
     /**
-     * TODO new name for parameters?
-     * Resolve a collision between two physbodies; one dynamic, or moving, and one static, or stationary
-     * @param {Physbody} dynamicBody The moving body in this collision equation
-     * @param {Physbody} staticBody The static body in this collision equation
+     * Works out how a dynamic body should be pushed out of another body, using the last state of the dynamic body to determine which side of the other
+     * body it came from. When the other body is also dynamic, its last state is used so the side is relative to how the two bodies approached each other.
+     * @param {DynamicBody} dynamicBody The moving body in this collision equation
+     * @param {Physbody} otherBody The body being collided with
+     * @returns {*} Returns the contact; the side of the other body that was hit (top, bottom, left, right or corner), the normal the dynamic body is pushed along,
+     * the penetration depth and whether it was a corner collision. Returns null if no side could be determined.
      */
-    static resolveCollision(dynamicBody, staticBody) {
+    static calculateContact(dynamicBody, otherBody) {
 
         // Determine what collision section
         const lastState = dynamicBody._last;
 
+        // The state of the other body to compare against; dynamic and kinematic bodies have moved too, so compare last states
+        const otherState = otherBody instanceof DynamicBody || otherBody instanceof KinematicBody ? otherBody._last : otherBody.body;
+
         // Booleans for whether or not the last state was within the width or height
-        const lastInWidth = lastState.right > staticBody.body.left && lastState.left < staticBody.body.right;
-        const lastInHeight = lastState.bottom > staticBody.body.top && lastState.top < staticBody.body.bottom;
+        const lastInWidth = lastState.right > otherState.left && lastState.left < otherState.right;
+        const lastInHeight = lastState.bottom > otherState.top && lastState.top < otherState.bottom;
 
         // Calculate the collision manifold, or the overlap of the two AABBs representing the physbodies' hitboxes
-        const overlap = CollisionHandler.calculateCollisionManifold(dynamicBody.body, staticBody.body);
+        const overlap = CollisionHandler.calculateCollisionManifold(dynamicBody.body, otherBody.body);
 
-        // Collision checking for simple collisions; last state of dynamic body is directly above, below, left, or right of the static body
-        if (lastInWidth && lastState.bottom <= staticBody.body.top) {
+        // Collision checking for simple collisions; last state of dynamic body is directly above, below, left, or right of the other body
+        if (lastInWidth && lastState.bottom <= otherState.top) {
             // Will be top collision
-            // console.log('top collision')
-            dynamicBody.y -= overlap.y;
-            dynamicBody.vy = 0;
-        } else if (lastInWidth && lastState.top >= staticBody.body.bottom) {
+            return { side: 'top', normal: new Vector2(0, -1), depth: overlap.y, corner: false };
+        } else if (lastInWidth && lastState.top >= otherState.bottom) {
             // Will be bottom collision
-            // console.log('bottom collision')
-            dynamicBody.y += overlap.y;
-            dynamicBody.vy = 0;
-        } else if (lastInHeight && lastState.right <= staticBody.body.left) {
+            return { side: 'bottom', normal: new Vector2(0, 1), depth: overlap.y, corner: false };
+        } else if (lastInHeight && lastState.right <= otherState.left) {
             // Will be left collision
-            // console.log('left collision')
-            dynamicBody.x -= overlap.x;
-            dynamicBody.vx = 0;
-        } else if (lastInHeight && lastState.left >= staticBody.body.right) {
+            return { side: 'left', normal: new Vector2(-1, 0), depth: overlap.x, corner: false };
+        } else if (lastInHeight && lastState.left >= otherState.right) {
             // Will be right collision
-            // console.log('right collision')
-            dynamicBody.x += overlap.x;
-            dynamicBody.vx = 0;
+            return { side: 'right', normal: new Vector2(1, 0), depth: overlap.x, corner: false };
         }
-        
+
         /**
          * Handling corner slope cases where dynamic body cached position isn't directly in line to collide with any specific edge, and slope needs to be calculated to ensure
          * realistic looking collisions occur. Handles each corner quadrant separately; top left, top right, bottom right, bottom left. Depending on the difference between the
-         * cached body and dynamic body's current position vs the difference between the cached body and corner of static body's position, it determines which way the dynamic
+         * cached body and dynamic body's current position vs the difference between the cached body and corner of other body's position, it determines which way the dynamic
          * body should collide.
          */
-        else {
-
-            // console.log('corner collision')
-
-            // Get midpoints of last state of dyanmic body and static body
-            const staticBodyMid = staticBody.body.mid;
-            const dynamicBodyChangeSlope = Vector2.slope(dynamicBody.body.mid, lastState.mid);
-
-            // last state of dynamic body is above the static body
-            if (lastState.mid.y < staticBodyMid.y) {
-                
-                // last state of dynamic body is to the left of the static body
-                if (lastState.mid.x < staticBodyMid.x) {
-
-                    // Set up position vectors for the vertices involved in the calculations of this test
-                    const lastStateBottomRight = new Vector2(lastState.right, lastState.bottom);
-                    const staticBodyTopLeft = new Vector2(staticBody.body.left, staticBody.body.top);
-                    
-                    // Calculate slope between the contraposing vertices of the last state and the static body
-                    const lastStateToCornerSlope = Vector2.slope(lastStateBottomRight, staticBodyTopLeft);
-
-                    // TODO experiment with the comparison here
-                    if (dynamicBodyChangeSlope > lastStateToCornerSlope) {
-                        dynamicBody.y -= overlap.y;
-                        dynamicBody.grounded = true; // remove if glitchy
-                    } else {
-                        dynamicBody.x -= overlap.x;
-                    }
+
+        // Get midpoints of last state of dyanmic body and other body
+        const otherStateMid = otherState.mid;
+        const dynamicBodyChangeSlope = Vector2.slope(dynamicBody.body.mid, lastState.mid);
+
+        // last state of dynamic body is above the other body
+        if (lastState.mid.y < otherStateMid.y) {
+
+            // last state of dynamic body is to the left of the other body
+            if (lastState.mid.x < otherStateMid.x) {
+
+                // Set up position vectors for the vertices involved in the calculations of this test
+                const lastStateBottomRight = new Vector2(lastState.right, lastState.bottom);
+                const otherStateTopLeft = new Vector2(otherState.left, otherState.top);
+
+                // Calculate slope between the contraposing vertices of the last state and the other body
+                const lastStateToCornerSlope = Vector2.slope(lastStateBottomRight, otherStateTopLeft);
+
+                // TODO experiment with the comparison here
+                if (dynamicBodyChangeSlope > lastStateToCornerSlope) {
+                    return { side: 'corner', normal: new Vector2(0, -1), depth: overlap.y, corner: true };
+                } else {
+                    return { side: 'corner', normal: new Vector2(-1, 0), depth: overlap.x, corner: true };
                 }
-                
-                // last state of dynamic body is to the right of the static body
-                else if (lastState.mid.x > staticBodyMid.x) {
-
-                    // Set up position vectors for the vertices involved in the calculations of this test
-                    const lastStateBottomLeft = new Vector2(lastState.left, lastState.bottom);
-                    const staticBodyTopRight = new Vector2(staticBody.body.right, staticBody.body.top);
-
-                    // Calculate slope between the contraposing vertices of the last state and the static body
-                    const lastStateToCornerSlope = Vector2.slope(lastStateBottomLeft, staticBodyTopRight);
-
-                    // TODO experiment with the comparison here
-                    if (dynamicBodyChangeSlope > lastStateToCornerSlope) {
-                        dynamicBody.y -= overlap.y;
-                        dynamicBody.grounded = true; // remove if glitchy
-                    } else {
-                        dynamicBody.x += overlap.x;
-                    }
-                }        
             }
-            
-            // last state of dynamic body is below the static body
-            else if (lastState.mid.y > staticBodyMid.y) {
 
-                // last state of dynamic body is to the left of the static body
-                if (lastState.mid.x < staticBodyMid.x) {
+            // last state of dynamic body is to the right of the other body
+            else if (lastState.mid.x > otherStateMid.x) {
+
+                // Set up position vectors for the vertices involved in the calculations of this test
+                const lastStateBottomLeft = new Vector2(lastState.left, lastState.bottom);
+                const otherStateTopRight = new Vector2(otherState.right, otherState.top);
+
+                // Calculate slope between the contraposing vertices of the last state and the other body
+                const lastStateToCornerSlope = Vector2.slope(lastStateBottomLeft, otherStateTopRight);
+
+                // TODO experiment with the comparison here
+                if (dynamicBodyChangeSlope > lastStateToCornerSlope) {
+                    return { side: 'corner', normal: new Vector2(0, -1), depth: overlap.y, corner: true };
+                } else {
+                    return { side: 'corner', normal: new Vector2(1, 0), depth: overlap.x, corner: true };
+                }
+            }
+        }
+
+        // last state of dynamic body is below the other body
+        else if (lastState.mid.y > otherStateMid.y) {
 
-                    // Set up position vectors for the vertices involved in the calculations of this test
-                    const lastStateTopRight = new Vector2(lastState.right, lastState.top);
-                    const staticBodyBottomLeft = new Vector2(staticBody.body.left, staticBody.body.bottom);
+            // last state of dynamic body is to the left of the other body
+            if (lastState.mid.x < otherStateMid.x) {
 
-                    // Calculate slope between the contraposing vertices of the last state and the static body
-                    const lastStateToCornerSlope = Vector2.slope(lastStateTopRight, staticBodyBottomLeft);
+                // Set up position vectors for the vertices involved in the calculations of this test
+                const lastStateTopRight = new Vector2(lastState.right, lastState.top);
+                const otherStateBottomLeft = new Vector2(otherState.left, otherState.bottom);
 
-                    // TODO experiment with the comparison here
-                    if (dynamicBodyChangeSlope < lastStateToCornerSlope) {
-                        dynamicBody.y += overlap.y;
-                    } else {
-                        dynamicBody.x -= overlap.x;
-                    }
+                // Calculate slope between the contraposing vertices of the last state and the other body
+                const lastStateToCornerSlope = Vector2.slope(lastStateTopRight, otherStateBottomLeft);
+
+                // TODO experiment with the comparison here
+                if (dynamicBodyChangeSlope < lastStateToCornerSlope) {
+                    return { side: 'corner', normal: new Vector2(0, 1), depth: overlap.y, corner: true };
+                } else {
+                    return { side: 'corner', normal: new Vector2(-1, 0), depth: overlap.x, corner: true };
                 }
-                
-                // last state of dynamic body is to the right of the static body
-                else if (lastState.mid.x > staticBodyMid.x) {
-
-                    // Set up position vectors for the vertices involved in the calculations of this test
-                    const lastStateTopLeft = new Vector2(lastState.left, lastState.top);
-                    const staticBodyBottomRight = new Vector2(staticBody.body.right, staticBody.body.bottom);
-
-                    // Calculate slope between the contraposing vertices of the last state and the static body
-                    const lastStateToCornerSlope = Vector2.slope(lastStateTopLeft, staticBodyBottomRight);
-
-                    // TODO experiment with the comparison here
-                    if (dynamicBodyChangeSlope < lastStateToCornerSlope) {
-                        dynamicBody.y += overlap.y;
-                    } else {
-                        dynamicBody.x += overlap.x;
-                    }      
+            }
+
+            // last state of dynamic body is to the right of the other body
+            else if (lastState.mid.x > otherStateMid.x) {
+
+                // Set up position vectors for the vertices involved in the calculations of this test
+                const lastStateTopLeft = new Vector2(lastState.left, lastState.top);
+                const otherStateBottomRight = new Vector2(otherState.right, otherState.bottom);
+
+                // Calculate slope between the contraposing vertices of the last state and the other body
+                const lastStateToCornerSlope = Vector2.slope(lastStateTopLeft, otherStateBottomRight);
+
+                // TODO experiment with the comparison here
+                if (dynamicBodyChangeSlope < lastStateToCornerSlope) {
+                    return { side: 'corner', normal: new Vector2(0, 1), depth: overlap.y, corner: true };
+                } else {
+                    return { side: 'corner', normal: new Vector2(1, 0), depth: overlap.x, corner: true };
                 }
             }
         }
+
+        // The last states share a midpoint axis; no way to tell which side was hit
+        return null;
+    }
+
+    /**
+     * Resolve a collision between a dynamic, or moving, physbody and another physbody. Static bodies stay put and the dynamic body is pushed out of them;
+     * two dynamic bodies share the push, @see CollisionHandler.separateDynamicBodies
+     * @param {DynamicBody} dynamicBody The moving body in this collision equation
+     * @param {Physbody} otherBody The body being collided with
+     * @returns {*} Returns the contact that was resolved, or null if the bodies were no longer colliding. @see CollisionHandler.calculateContact
+     */
+    static resolveCollision(dynamicBody, otherBody) {
+
+        // An earlier resolution this step may have already pushed the bodies apart
+        if (!CollisionHandler.isColliding(dynamicBody.body, otherBody.body)) {
+            return null;
+        }
+
+        const contact = CollisionHandler.calculateContact(dynamicBody, otherBody);
+
+        if (contact == null) {
+            return null;
+        }
+
+        // One-way platforms only resolve the top collision; the dynamic body was above the platform last step
+        if (otherBody.oneWay && contact.side != 'top') {
+            return null;
+        }
+
+        if (otherBody instanceof DynamicBody) {
+            CollisionHandler.separateDynamicBodies(dynamicBody, otherBody, contact);
+            return contact;
+        }
+
+        // Push the dynamic body out of the static body along the contact normal
+        dynamicBody.x += contact.normal.x * contact.depth;
+        dynamicBody.y += contact.normal.y * contact.depth;
+
+        if (!contact.corner) {
+
+            // Edge collisions stop or bounce the dynamic body along the axis of the collision, and apply friction along the other
+            CollisionHandler.applyContactImpulse(dynamicBody, otherBody, contact.normal, 1);
+        }
+
+        // Landing on top of a static body supports the dynamic body; anything stacked on it can rest there
+        if (contact.normal.y < 0) {
+            dynamicBody._supported = true;
+
+            // Standing on a kinematic body rides along with it next physics step
+            if (otherBody instanceof KinematicBody) {
+                dynamicBody._platform = otherBody;
+            }
+        }
+
+        return contact;
+    }
+
+    /**
+     * Separates two overlapping dynamic bodies. A body resting on a supported body (one standing on static ground, directly or through a stack) takes the whole
+     * push so stacks hold still. Otherwise the push is split according to @see CollisionHandler.dynamicResolution; by mass, or entirely onto the body being pushed.
+     * Bodies approaching each other along the contact normal exchange an impulse, @see CollisionHandler.applyContactImpulse
+     * @param {DynamicBody} body The dynamic body the contact was calculated for
+     * @param {DynamicBody} otherBody The other dynamic body in the collision
+     * @param {*} contact The contact calculated for the first body. @see CollisionHandler.calculateContact
+     */
+    static separateDynamicBodies(body, otherBody, contact) {
+
+        // The velocity axis the contact acts on
+        const axis = contact.normal.x != 0 ? 'vx' : 'vy';
+        const normal = contact.normal.x != 0 ? contact.normal.x : contact.normal.y;
+
+        // Share of the push taken by the first body; the other body takes the rest
+        let share;
+
+        if (axis == 'vy' && normal < 0 && otherBody._supported) {
+
+            // The first body is resting on a supported body
+            share = 1;
+        } else if (axis == 'vy' && normal > 0 && body._supported) {
+
+            // The other body is resting on a supported body
+            share = 0;
+        } else if (CollisionHandler.dynamicResolution == 'pusher') {
+
+            // Whichever body is moving faster towards the other pushes it out of the way
+            const bodyTowards = -body[axis] * normal;
+            const otherTowards = otherBody[axis] * normal;
+            share = bodyTowards >= otherTowards ? 0 : 1;
+        } else {
+
+            // Heavier bodies are pushed less
+            share = otherBody.mass / (body.mass + otherBody.mass);
+        }
+
+        // Split the push between the two bodies
+        body.x += contact.normal.x * contact.depth * share;
+        body.y += contact.normal.y * contact.depth * share;
+        otherBody.x -= contact.normal.x * contact.depth * (1 - share);
+        otherBody.y -= contact.normal.y * contact.depth * (1 - share);
+
+        // The body taking less of the push dominates the velocity the bodies leave with
+        if (!contact.corner) {
+            CollisionHandler.applyContactImpulse(body, otherBody, contact.normal, share);
+        }
+
+        // Support propagates up a stack
+        if (axis == 'vy') {
+            if (normal < 0 && otherBody._supported) {
+                body._supported = true;
+            } else if (normal > 0 && body._supported) {
+                otherBody._supported = true;
+            }
+        }
+    }
+
+    /**
+     * Applies the collision response between a dynamic body and the body it collided with, if they are moving into each other. Along the normal, the bodies
+     * stop relative to each other, or bounce apart if they hit hard enough and either is bouncy. Along the surface, friction slows their relative sliding in
+     * proportion to how hard they hit; a resting body is pressed into the ground by gravity every step, so it feels a steady friction.
+     * @param {DynamicBody} body The dynamic body the contact was calculated for
+     * @param {Physbody} otherBody The other body in the collision; only changed if it's dynamic
+     * @param {Vector2} normal The normal the dynamic body is pushed out along
+     * @param {Number} share Share of the response taken by the dynamic body; the other body takes the rest. 1 for static and kinematic bodies.
+     */
+    static applyContactImpulse(body, otherBody, normal, share) {
+
+        // Only dynamic bodies move in response; everything else is treated as stationary
+        const dynamic = otherBody instanceof DynamicBody;
+
+        // Relative velocity of the bodies, along the normal and along the surface
+        const rvx = body.vx - (dynamic ? otherBody.vx : 0);
+        const rvy = body.vy - (dynamic ? otherBody.vy : 0);
+        const normalVelocity = rvx * normal.x + rvy * normal.y;
+        const tangentVelocity = rvx * -normal.y + rvy * normal.x;
+
+        // Bodies already moving apart need no response
+        if (normalVelocity >= 0) {
+            return;
+        }
+
+        // Combined surface properties; friction averages, the bouncier body decides the bounce. Soft hits never bounce, so resting bodies settle.
+        const friction = (body.friction + otherBody.friction) / 2;
+        const restitution = -normalVelocity > CollisionHandler.RESTITUTION_THRESHOLD ? Math.max(body.restitution, otherBody.restitution) : 0;
+
+        // Impulses along the normal and along the surface; friction can stop the sliding but never reverse it
+        const normalImpulse = -(1 + restitution) * normalVelocity;
+        const tangentImpulse = -Math.sign(tangentVelocity) * Math.min(Math.abs(tangentVelocity), friction * -normalVelocity);
+
+        const ix = normal.x * normalImpulse - normal.y * tangentImpulse;
+        const iy = normal.y * normalImpulse + normal.x * tangentImpulse;
+
+        body.vx += ix * share;
+        body.vy += iy * share;
+
+        if (dynamic) {
+            otherBody.vx -= ix * (1 - share);
+            otherBody.vy -= iy * (1 - share);
+        }
     }
 
     /**
-     * Iterates through the collisions array (with respect to overlap area) and resolves each collisionwwww
+     * Iterates through the collisions array (with respect to overlap area) and resolves each collision
+     * @param {PhysicsWorld} world The world to resolve. Defaults to the active world.
      */
-    static resolveAllCollisions() {
+    static resolveAllCollisions(world = Physics.world) {
 
         // Array of all collisions this game step
-        const collisions = CollisionHandler.collisions;
+        const collisions = world.collisions;
+
+        // Support, platforms and contact state are worked out from scratch every game step
+        for (const body of world.dynamicBodies) {
+            body._supported = false;
+            body._platform = null;
+            body.clearContacts();
+        }
+
+        // Map of the contacts resolved this game step, for collision events
+        const contacts = new Map();
+
+        // Map of the triggers overlapped this game step to the bodies overlapping them
+        const overlaps = new Map();
 
         // Iterate through each collision
         for (const collision of collisions) {
 
+            // Triggers only detect overlap; they never push
+            if (collision.otherBody instanceof TriggerBody) {
+                if (!overlaps.has(collision.otherBody)) {
+                    overlaps.set(collision.otherBody, new Set());
+                }
+
+                overlaps.get(collision.otherBody).add(collision.dynamicBody);
+                continue;
+            }
+
             // Resolve the collision
-            CollisionHandler.resolveCollision(collision.dynamicBody, collision.staticBody);
+            const contact = CollisionHandler.resolveCollision(collision.dynamicBody, collision.otherBody);
+
+            // Record the contact if the collision was actually resolved
+            if (contact != null) {
+                if (!contacts.has(collision.dynamicBody)) {
+                    contacts.set(collision.dynamicBody, new Map());
+                }
+
+                contacts.get(collision.dynamicBody).set(collision.otherBody, contact);
+
+                // Update the contact state of both bodies; the other body is pushed the opposite way
+                collision.dynamicBody.addContact(collision.otherBody, contact.normal);
+
+                if (collision.otherBody instanceof DynamicBody) {
+                    collision.otherBody.addContact(collision.dynamicBody, new Vector2(-contact.normal.x, -contact.normal.y));
+                }
+            }
         }
 
         // After collisions have been resolved, clear array for next game step
-        CollisionHandler.collisions.length = 0;
+        collisions.length = 0;
+
+        // Let gameplay code know what happened
+        CollisionHandler.dispatchCollisionEvents(world, contacts);
+        CollisionHandler.dispatchTriggerEvents(world, overlaps);
+    }
+
+    /**
+     * Updates the occupants of every trigger that is overlapped this game step or was occupied last game step
+     * @param {PhysicsWorld} world The world the triggers are in
+     * @param {Map<TriggerBody, Set<DynamicBody>>} overlaps The triggers overlapped this game step and the bodies overlapping them
+     */
+    static dispatchTriggerEvents(world, overlaps) {
+
+        // Triggers that were occupied last game step may have been left this game step
+        const triggers = new Set(world._occupiedTriggers);
+        overlaps.forEach((_, trigger) => triggers.add(trigger));
+
+        world._occupiedTriggers.clear();
+
+        for (const trigger of triggers) {
+            trigger.updateOccupants(overlaps.get(trigger) || new Set());
+
+            if (trigger._occupants.size > 0) {
+                world._occupiedTriggers.add(trigger);
+            }
+        }
+    }
+
+    /**
+     * Compares the contacts resolved this game step against the contacts of the last game step and fires enter, stay and exit events accordingly
+     * @param {PhysicsWorld} world The world the contacts were resolved in
+     * @param {Map<Physbody, Map<Physbody, *>>} contacts The contacts resolved this game step, keyed by dynamic body and then by the other body
+     */
+    static dispatchCollisionEvents(world, contacts) {
+
+        // Contacts of the last game step
+        const previous = world._contacts;
+
+        // Checks both orders of a pair, since either body may have been the one the contact was calculated for
+        const hasContact = (map, body, otherBody) => {
+            return (map.has(body) && map.get(body).has(otherBody)) || (map.has(otherBody) && map.get(otherBody).has(body));
+        };
+
+        // Pairs that are touching this game step either just started touching or are still touching
+        for (const [body, others] of contacts) {
+            for (const [otherBody, contact] of others) {
+                CollisionHandler.emitCollision(world, hasContact(previous, body, otherBody) ? 'stay' : 'enter', body, otherBody, contact);
+            }
+        }
+
+        // Pairs that were touching last game step but aren't anymore have stopped touching
+        for (const [body, others] of previous) {
+            for (const [otherBody, contact] of others) {
+                if (!hasContact(contacts, body, otherBody)) {
+                    CollisionHandler.emitCollision(world, 'exit', body, otherBody, contact);
+                }
+            }
+        }
+
+        world._contacts = contacts;
+    }
+
+    /**
+     * Fires a collision event to both bodies involved and to the world's global listeners. Each body receives the event from its own point of view:
+     * - body: the physbody receiving the event
+     * - other: the other physbody in the collision
+     * - normal: the direction the receiving physbody is pushed out of the other physbody
+     * - depth: the penetration depth of the collision
+     * - side: the side of the other physbody that was hit; top, bottom, left, right or corner
+     * 
+     * Global listeners receive the event from the point of view of the body the contact was calculated for; the dynamic body.
+     * @param {PhysicsWorld} world The world the collision happened in
+     * @param {String} type The type of collision event; enter, stay or exit
+     * @param {Physbody} body The body the contact was calculated for
+     * @param {Physbody} otherBody The other body in the collision
+     * @param {*} contact The contact between the bodies. @see CollisionHandler.calculateContact
+     */
+    static emitCollision(world, type, body, otherBody, contact) {
+
+        // The event from the point of view of each body
+        const event = {
+            body: body,
+            other: otherBody,
+            normal: new Vector2(contact.normal.x, contact.normal.y),
+            depth: contact.depth,
+            side: contact.side,
+        };
+        const mirrored = {
+            body: otherBody,
+            other: body,
+            normal: new Vector2(-contact.normal.x, -contact.normal.y),
+            depth: contact.depth,
+            side: OPPOSITE_SIDES[contact.side],
+        };
+
+        body._collisionListeners[type].forEach(callback => callback(event));
+        otherBody._collisionListeners[type].forEach(callback => callback(mirrored));
+        world._listeners[type].forEach(callback => callback(event));
+    }
+
+    /**
+     * Subscribes to any two physbodies in the active world starting to collide. @see PhysicsWorld.onCollisionEnter
+     * @param {Function<CollisionEvent>} callback The function to call with the collision event. @see CollisionHandler.emitCollision
+     */
+    static onCollisionEnter(callback) {
+        Physics.world.onCollisionEnter(callback);
+    }
+
+    /**
+     * Subscribes to any two physbodies in the active world still colliding since last physics step. @see PhysicsWorld.onCollisionStay
+     * @param {Function<CollisionEvent>} callback The function to call with the collision event. @see CollisionHandler.emitCollision
+     */
+    static onCollisionStay(callback) {
+        Physics.world.onCollisionStay(callback);
+    }
+
+    /**
+     * Subscribes to any two physbodies in the active world no longer colliding. @see PhysicsWorld.onCollisionExit
+     * @param {Function<CollisionEvent>} callback The function to call with the collision event. @see CollisionHandler.emitCollision
+     */
+    static onCollisionExit(callback) {
+        Physics.world.onCollisionExit(callback);
+    }
+
+    /**
+     * Unsubscribes a function from all of the active world's collision events. @see PhysicsWorld.offCollision
+     * @param {Function<CollisionEvent>} callback The function to unsubscribe
+     */
+    static offCollision(callback) {
+        Physics.world.offCollision(callback);
     }
 }
 
-// Define static property as an array containing all of the collisions that have occured during the most recent physics step
+/**
+ * The side of a physbody that touches the given side of the physbody it collides with; used to mirror collision events
+ */
+const OPPOSITE_SIDES = {
+    top: 'bottom',
+    bottom: 'top',
+    left: 'right',
+    right: 'left',
+    corner: 'corner',
+};
+
+// Define static property delegating to the array containing all of the collisions that have occured during the active world's most recent physics step
 Object.defineProperty(CollisionHandler, 'collisions', {
-    value: [],
+    get() {
+        return Physics.world.collisions;
+    },
+    enumerable: false,
+    configurable: false,
+});
+
+// Define static property as a constant determining the slowest impact speed that can bounce; slower impacts just stop, so resting bodies don't jitter
+Object.defineProperty(CollisionHandler, 'RESTITUTION_THRESHOLD', {
+    value: 30,
     writable: false,
     enumerable: false,
     configurable: false,
-});
\ No newline at end of file
+});
+
+// How overlapping dynamic bodies share the push apart; 'mass' splits it by mass, 'pusher' lets the faster body push the other entirely out of the way
+CollisionHandler.dynamicResolution = 'mass';
@@ -0,0 +1,271 @@
+import { defineBindingType } from './action-input.js';
+import { addInputSource, addInputUpdater, dispatchInput } from './input.js';
+
+/**
+ * Indices of the buttons of a gamepad with the standard mapping, by name; buttons can be referred to by either
+ */
+export const BUTTONS = Object.freeze({
+    A: 0,
+    B: 1,
+    X: 2,
+    Y: 3,
+    LB: 4,
+    RB: 5,
+    LT: 6,
+    RT: 7,
+    SELECT: 8,
+    START: 9,
+    L3: 10,
+    R3: 11,
+    UP: 12,
+    DOWN: 13,
+    LEFT: 14,
+    RIGHT: 15,
+    HOME: 16,
+});
+
+/**
+ * Indices of the axes of each stick of a gamepad with the standard mapping
+ */
+const STICKS = {
+    left: [0, 1],
+    right: [2, 3],
+};
+
+// Raw state of every connected gamepad as of the last poll that changed anything, and the same serialized, to tell when it changes
+let livePads = [];
+let lastPoll = '[]';
+
+// Map of gamepad indices to their state as of this tick; buttons down, buttons down last tick, and axes
+const gamepads = new Map();
+
+// Radial deadzone of the sticks; stick input with a smaller magnitude reads as 0
+let deadzone = 0.2;
+
+// Connection event listeners; @see onGamepadConnected
+const listeners = {
+    connected: [],
+    disconnected: [],
+};
+
+/**
+ * Polls the state of every connected gamepad, dispatching it as raw input if it changed, and snapshots it. Called once per tick, so every reader sees
+ * the same state during a tick; @see addInputUpdater
+ */
+export function updateGamepads() {
+    const pads = typeof navigator != 'undefined' && navigator.getGamepads ? navigator.getGamepads() : [];
+    const polled = [];
+
+    for (const pad of pads) {
+        if (pad != null && pad.connected) {
+            polled.push([pad.index, pad.buttons.map(button => button.pressed ? 1 : 0), pad.axes.slice()]);
+        }
+    }
+
+    // Only dispatch changes, so recordings stay small
+    const poll = JSON.stringify(polled);
+
+    if (poll != lastPoll) {
+        lastPoll = poll;
+        dispatchInput('gamepad', polled);
+    }
+
+    const connected = new Set();
+
+    for (const [index, buttons, axes] of livePads) {
+        const state = gamepads.get(index) || { down: [], last: [], axes: [] };
+
+        state.last = state.down;
+        state.down = buttons.map(down => down == 1);
+        state.axes = axes;
+
+        gamepads.set(index, state);
+        connected.add(index);
+    }
+
+    // Forget gamepads that are gone
+    for (const index of gamepads.keys()) {
+        if (!connected.has(index)) {
+            gamepads.delete(index);
+        }
+    }
+}
+
+/**
+ * Gets the indices of the connected gamepads, as of the last poll
+ * @returns {Array<Number>} Returns the gamepad indices
+ */
+export function getGamepads() {
+    return Array.from(gamepads.keys());
+}
+
+/**
+ * If a gamepad button is down
+ * @param {Number|String} button The index or name of the button; @see BUTTONS
+ * @param {Number} pad The index of the gamepad. Defaults to any gamepad.
+ * @returns {Boolean} Returns whether or not the button is down
+ */
+export function isButtonDown(button, pad) {
+    const index = buttonIndex(button);
+
+    return statesOf(pad).some(state => state.down[index] || false);
+}
+
+/**
+ * If a gamepad button has just been pressed; down this tick, but not the last
+ * @param {Number|String} button The index or name of the button; @see BUTTONS
+ * @param {Number} pad The index of the gamepad. Defaults to any gamepad.
+ * @returns {Boolean} Returns whether or not the button was just pressed
+ */
+export function isButtonPressed(button, pad) {
+    const index = buttonIndex(button);
+
+    return statesOf(pad).some(state => state.down[index] && !state.last[index]);
+}
+
+/**
+ * If a gamepad button has just been released; down last tick, but not this one
+ * @param {Number|String} button The index or name of the button; @see BUTTONS
+ * @param {Number} pad The index of the gamepad. Defaults to any gamepad.
+ * @returns {Boolean} Returns whether or not the button was just released
+ */
+export function isButtonReleased(button, pad) {
+    const index = buttonIndex(button);
+
+    return statesOf(pad).some(state => !state.down[index] && state.last[index]);
+}
+
+/**
+ * Gets the position of a stick, with the deadzone applied; input past the deadzone is rescaled to start from 0
+ * @param {String} stick The stick; 'left' or 'right'
+ * @param {Number} pad The index of the gamepad. Defaults to the gamepad with the stick pushed furthest.
+ * @returns {*} Returns the x and y of the stick, each from -1 to 1
+ */
+export function getStick(stick, pad) {
+    const [xAxis, yAxis] = STICKS[stick];
+    let strongest = { x: 0, y: 0 };
+
+    for (const state of statesOf(pad)) {
+        const x = state.axes[xAxis] || 0;
+        const y = state.axes[yAxis] || 0;
+        const magnitude = Math.hypot(x, y);
+
+        if (magnitude <= deadzone || magnitude <= Math.hypot(strongest.x, strongest.y)) {
+            continue;
+        }
+
+        // Rescale so the stick reads 0 at the edge of the deadzone and 1 at its limit
+        const scale = Math.min(1, (magnitude - deadzone) / (1 - deadzone)) / magnitude;
+        strongest = { x: x * scale, y: y * scale };
+    }
+
+    return strongest;
+}
+
+/**
+ * Sets the radial deadzone of the sticks
+ * @param {Number} newDeadzone The deadzone, from 0 to 1
+ */
+export function setDeadzone(newDeadzone) {
+    deadzone = newDeadzone;
+}
+
+/**
+ * Adds a listener for gamepads connecting
+ * @param {Function<Gamepad>} callback The function to call with the connected gamepad
+ */
+export function onGamepadConnected(callback) {
+    listeners.connected.push(callback);
+}
+
+/**
+ * Adds a listener for gamepads disconnecting
+ * @param {Function<Gamepad>} callback The function to call with the disconnected gamepad
+ */
+export function onGamepadDisconnected(callback) {
+    listeners.disconnected.push(callback);
+}
+
+/**
+ * Creates a gamepad button binding, for actions and axes; @see defineAction
+ * @param {Number|String} buttonName The index or name of the button; @see BUTTONS
+ * @param {Number} pad The index of the gamepad. Defaults to any gamepad.
+ * @returns {*} Returns the binding
+ */
+export function button(buttonName, pad) {
+    return { type: 'button', button: buttonName, pad: pad };
+}
+
+/**
+ * Creates an analog stick binding, for axes; @see defineAxis
+ * @param {String} stick The stick; 'left' or 'right'
+ * @param {String} axis The axis of the stick; 'x' or 'y'
+ * @param {Number} pad The index of the gamepad. Defaults to any gamepad.
+ * @returns {*} Returns the binding
+ */
+export function stickAxis(stick, axis, pad) {
+    return { type: 'stick', stick: stick, axis: axis, pad: pad };
+}
+
+/**
+ * Gets the index of a button
+ * @param {Number|String} button The index or name of the button
+ * @returns {Number} Returns the index of the button
+ */
+function buttonIndex(button) {
+    return typeof button == 'string' ? BUTTONS[button] : button;
+}
+
+/**
+ * Gets the states of the gamepads to check
+ * @param {Number} pad The index of the gamepad, or undefined for every gamepad
+ * @returns {Array<*>} Returns the states
+ */
+function statesOf(pad) {
+    if (pad == undefined) {
+        return Array.from(gamepads.values());
+    }
+
+    return gamepads.has(pad) ? [gamepads.get(pad)] : [];
+}
+
+// Define the gamepad binding types; buttons act like keys, stick axes are analog
+defineBindingType('button', {
+    down: binding => isButtonDown(binding.button, binding.pad),
+    pressed: binding => isButtonPressed(binding.button, binding.pad),
+    released: binding => isButtonReleased(binding.button, binding.pad),
+});
+
+defineBindingType('stick', {
+    down: binding => getStick(binding.stick, binding.pad)[binding.axis] != 0,
+    pressed: () => false,
+    released: () => false,
+    value: binding => getStick(binding.stick, binding.pad)[binding.axis],
+});
+
+/**
+ * Applies polled gamepad state as the raw state of every connected gamepad
+ * @param {Array<Array<*>>} polled The raw input; the index, buttons down (1 or 0) and axes of each connected gamepad
+ */
+function applyGamepads(polled) {
+    livePads = polled;
+}
+
+/**
+ * Resets gamepads to none connected; the next poll is dispatched whether or not it changed
+ */
+function resetGamepads() {
+    livePads = [];
+    lastPoll = '[]';
+    gamepads.clear();
+}
+
+// Register gamepads as an input source, and poll them every tick
+addInputSource('gamepad', applyGamepads, resetGamepads);
+addInputUpdater(updateGamepads);
+
+// Add gamepad connection event listeners to DOM; skipped when running headless
+if (typeof window != 'undefined') {
+    window.addEventListener('gamepadconnected', event => listeners.connected.forEach(callback => callback(event.gamepad)));
+    window.addEventListener('gamepaddisconnected', event => listeners.disconnected.forEach(callback => callback(event.gamepad)));
+}
@@ -0,0 +1,158 @@
+import { Physics, Random, Renderer } from './engine.js';
+import { isReplayingInput, startInputRecording, startInputReplay, stopInputRecording, stopInputReplay } from './input.js';
+
+// Version of the recording format; recordings of other versions can't be replayed
+const RECORDING_VERSION = 1;
+
+// The recording being made, without its frames until it's stopped; null while not recording
+let recording = null;
+
+// The recording being replayed and the scene replaying it; null while not replaying
+let replay = null;
+
+/**
+ * Starts recording a session; loads the scene from the start, seeds the random number generator and snapshots input once per physics step, so
+ * replaying the recording reproduces the session exactly. @see Physics.stepInput
+ *
+ * Game logic reading input edges, e.g. isActionPressed, isKeyReleased or wasActionPressedWithin, has to run in step listeners while recording and
+ * replaying; @see Physics.onStep. Input only changes between physics steps, so a ticker function sees the same press on every frame without a step,
+ * and misses presses on frames with more than one. Reading whether input is down from ticker functions is fine.
+ * @param {Scene} scene The scene to record
+ * @param {Number} seed The seed of the random number generator; @see Random. Defaults to the current time.
+ */
+export function startRecording(scene, seed = Date.now() >>> 0) {
+    recording = {
+        version: RECORDING_VERSION,
+        scene: scene.options.name || null,
+        seed: seed,
+        timestep: scene.world.timestep,
+    };
+
+    Random.seed(seed);
+    Physics.stepInput = true;
+    startInputRecording();
+    Renderer.loadScene(scene);
+}
+
+/**
+ * Stops recording, going back to snapshotting input once per tick
+ * @returns {*} Returns the recording; the format version, scene name, seed, timestep and raw input of every physics step
+ */
+export function stopRecording() {
+    if (recording == null) {
+        throw new Error('Not recording');
+    }
+
+    const finished = Object.assign(recording, { frames: stopInputRecording() });
+
+    recording = null;
+    Physics.stepInput = false;
+
+    return finished;
+}
+
+/**
+ * Starts replaying a recording in place of live input; loads the scene from the start and seeds the random number generator the way it was recorded.
+ * Live input takes over once the replay is over.
+ * @param {*} recorded The recording; @see stopRecording
+ * @param {Scene} scene The scene the recording was made in
+ */
+export function startReplay(recorded, scene) {
+    if (recorded.version != RECORDING_VERSION) {
+        throw new Error(`Unsupported recording version ${recorded.version}`);
+    }
+
+    if (recorded.scene != (scene.options.name || null)) {
+        throw new Error(`Recording was made in scene '${recorded.scene}', not '${scene.options.name || null}'`);
+    }
+
+    replay = { recording: recorded, scene: scene };
+    restartReplay();
+}
+
+/**
+ * Stops replaying, going back to live input snapshotted once per tick
+ */
+export function stopReplay() {
+    replay = null;
+    Physics.stepInput = false;
+    stopInputReplay();
+}
+
+/**
+ * If a recording is being replayed
+ * @returns {Boolean} Returns whether or not there are recorded steps left to replay
+ */
+export function isReplaying() {
+    return replay != null && isReplayingInput();
+}
+
+/**
+ * Seeks the replay to a physics step; the simulation can't run backwards, so the scene is reloaded and re-simulated from the start up to that step
+ * @param {Number} step The number of physics steps to skip to
+ */
+export function seek(step) {
+    if (replay == null) {
+        throw new Error('Not replaying');
+    }
+
+    restartReplay(() => Physics.world.stepFixed(replay.recording.timestep, Math.min(step, replay.recording.frames.length)));
+}
+
+/**
+ * Serializes a recording to JSON; runs of steps without input are stored as their count, so idle time costs next to nothing
+ * @param {*} recorded The recording; @see stopRecording
+ * @returns {String} Returns the JSON
+ */
+export function serializeRecording(recorded) {
+    const frames = [];
+
+    for (const frame of recorded.frames) {
+        if (frame.length > 0) {
+            frames.push(frame);
+        } else if (typeof frames[frames.length - 1] == 'number') {
+            frames[frames.length - 1]++;
+        } else {
+            frames.push(1);
+        }
+    }
+
+    return JSON.stringify(Object.assign({}, recorded, { frames: frames }));
+}
+
+/**
+ * Deserializes a recording serialized by @see serializeRecording
+ * @param {String} json The JSON
+ * @returns {*} Returns the recording
+ */
+export function deserializeRecording(json) {
+    const recorded = JSON.parse(json);
+    const frames = [];
+
+    for (const frame of recorded.frames) {
+        if (typeof frame == 'number') {
+            for (let i = 0; i < frame; i++) {
+                frames.push([]);
+            }
+        } else {
+            frames.push(frame);
+        }
+    }
+
+    recorded.frames = frames;
+    return recorded;
+}
+
+/**
+ * Loads the replayed scene from the start and replays its recording from the first step
+ * @param {Function} onLoad The function to call once the scene has been set up. Optional.
+ */
+function restartReplay(onLoad) {
+    const { recording: recorded, scene } = replay;
+
+    scene.world.timestep = recorded.timestep;
+    Random.seed(recorded.seed);
+    Physics.stepInput = true;
+    startInputReplay(recorded.frames);
+    Renderer.loadScene(scene, onLoad);
+}
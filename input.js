@@ -0,0 +1,227 @@
+// Name recorded in place of a source name when every source is reset, e.g. when input is blocked; so replays reset at the same step
+const RESET_INPUT = '#reset';
+
+// Functions snapshotting each input source at the start of a tick, with their priorities
+const updaters = [];
+
+// Map of input source names to the functions applying their raw input and resetting their state; @see dispatchInput
+const sources = new Map();
+
+// Functions called with live raw input as it's dispatched; @see addInputListener
+const listeners = [];
+
+// Time of the current tick in seconds; every input source is snapshotted at it
+let time = 0;
+
+// Frames of raw input being recorded, and the raw input dispatched since the last snapshot; null while not recording
+let recordedFrames = null;
+let pendingInput = [];
+
+// Frames of raw input being replayed, and the index of the next one; null while not replaying
+let replayFrames = null;
+let replayIndex = 0;
+
+// Whether or not live input is blocked; @see blockInput
+let blocked = false;
+
+/**
+ * Adds a function snapshotting an input source; called once per tick, so every reader sees the same input during a tick
+ * @param {Function<Number>} updater The function to call with the time of the tick in seconds
+ * @param {Number} priority The priority of the function; functions are called in descending order based on priority. Defaults to 0.
+ */
+export function addInputUpdater(updater, priority = 0) {
+    updaters.push({ updater: updater, priority: priority });
+    updaters.sort((a, b) => b.priority - a.priority);
+}
+
+/**
+ * Adds an input source whose raw input can be recorded and replayed; @see dispatchInput
+ * @param {String} name The name of the source
+ * @param {Function<*>} handler The function applying a piece of raw input to the source's state
+ * @param {Function} reset The function resetting the source's state to no input; called when recording or replaying starts, so both start the same
+ */
+export function addInputSource(name, handler, reset) {
+    sources.set(name, { handler: handler, reset: reset });
+}
+
+/**
+ * Adds a function called with every piece of live raw input as it's dispatched, while the browser event that caused it is still being handled; for
+ * things browsers only allow in response to the user, e.g. requesting full screen. Not called for replayed input, or while input is blocked.
+ * @param {Function<String, *>} listener The function to call with the name of the source and the raw input
+ */
+export function addInputListener(listener) {
+    listeners.push(listener);
+}
+
+/**
+ * Passes a piece of raw input, e.g. a key going down, to its source. Recorded while recording, and ignored while replaying, so replayed input
+ * takes the place of live input, or while input is blocked.
+ * @param {String} name The name of the source
+ * @param {*} input The raw input; must be serializable to JSON
+ */
+export function dispatchInput(name, input) {
+    if (replayFrames != null || blocked) {
+        return;
+    }
+
+    if (recordedFrames != null) {
+        pendingInput.push([name, input]);
+    }
+
+    sources.get(name).handler(input);
+
+    for (const listener of listeners) {
+        listener(name, input);
+    }
+}
+
+/**
+ * Snapshots every input source. Called once per tick by the renderer, before any scene functions run, or once per physics step; @see Physics.stepInput
+ * @param {Number} now The time of the tick in seconds. Defaults to the current time.
+ */
+export function updateInput(now = performance.now() / 1000) {
+    time = now;
+
+    // Feed the sources the raw input of the next replayed frame, going back to live input once the replay is over
+    if (replayFrames != null) {
+        for (const [name, input] of replayFrames[replayIndex]) {
+            if (name == RESET_INPUT) {
+                resetSources();
+            } else {
+                sources.get(name).handler(input);
+            }
+        }
+
+        replayIndex++;
+    }
+
+    for (const { updater } of updaters) {
+        updater(now);
+    }
+
+    // Go back to live input once the last replayed frame has been snapshotted
+    if (replayFrames != null && replayIndex >= replayFrames.length) {
+        stopInputReplay();
+    }
+
+    // Close the recorded frame; sources polled by their updaters dispatch during it
+    if (recordedFrames != null) {
+        recordedFrames.push(pendingInput);
+        pendingInput = [];
+    }
+}
+
+/**
+ * Gets the time of the current tick
+ * @returns {Number} Returns the time the input was last snapshotted at, in seconds
+ */
+export function getInputTime() {
+    return time;
+}
+
+/**
+ * Starts recording the raw input of every source, one frame per snapshot
+ */
+export function startInputRecording() {
+    resetSources();
+    recordedFrames = [];
+    pendingInput = [];
+}
+
+/**
+ * Stops recording raw input
+ * @returns {Array<Array<*>>} Returns the recorded frames; the raw input of each snapshot, as [source name, input] pairs
+ */
+export function stopInputRecording() {
+    const frames = recordedFrames;
+    recordedFrames = null;
+    return frames;
+}
+
+/**
+ * Starts replaying recorded raw input in place of live input, one frame per snapshot
+ * @param {Array<Array<*>>} frames The frames to replay. @see stopInputRecording
+ */
+export function startInputReplay(frames) {
+    resetSources();
+    replayFrames = frames.length > 0 ? frames : null;
+    replayIndex = 0;
+}
+
+/**
+ * Stops replaying raw input, going back to live input; every source is reset, so nothing held in the replay stays down and live input is picked up
+ * from scratch
+ */
+export function stopInputReplay() {
+    if (replayFrames == null) {
+        return;
+    }
+
+    resetSources();
+    replayFrames = null;
+}
+
+/**
+ * If recorded raw input is being replayed
+ * @returns {Boolean} Returns whether or not input is being replayed
+ */
+export function isReplayingInput() {
+    return replayFrames != null;
+}
+
+/**
+ * If raw input is being recorded
+ * @returns {Boolean} Returns whether or not input is being recorded
+ */
+export function isRecordingInput() {
+    return recordedFrames != null;
+}
+
+/**
+ * Blocks live input, e.g. during scene transitions; every input source reads as no input until it's unblocked
+ */
+export function blockInput() {
+    resetLiveSources();
+    blocked = true;
+}
+
+/**
+ * Unblocks live input; every input source starts over from no input, so nothing pressed during the block carries over
+ */
+export function unblockInput() {
+    blocked = false;
+    resetLiveSources();
+}
+
+/**
+ * If live input is blocked
+ * @returns {Boolean} Returns whether or not input is blocked
+ */
+export function isInputBlocked() {
+    return blocked;
+}
+
+/**
+ * Resets the state of every input source to no input at a point in time that isn't tied to a snapshot; recorded like raw input, so replays reset at
+ * the same snapshot, and skipped while replaying, where the recorded reset takes its place
+ */
+function resetLiveSources() {
+    if (replayFrames != null) {
+        return;
+    }
+
+    if (recordedFrames != null) {
+        pendingInput.push([RESET_INPUT, null]);
+    }
+
+    resetSources();
+}
+
+/**
+ * Resets the state of every input source to no input
+ */
+function resetSources() {
+    for (const source of sources.values()) {
+        source.reset();
+    }
+}
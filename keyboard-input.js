@@ -1,11 +1,22 @@
-// Array of active keys
+import { addInputSource, addInputUpdater, dispatchInput, getInputTime } from './input.js';
+
+// Object containing members representing which keys are held down right now, as of the last key event
+const liveKeys = {};
+
+// Arrays of keys pressed and released since the last snapshot, so taps shorter than a tick aren't lost
+const queuedPresses = [];
+const queuedReleases = [];
+
+// Array of active keys, as of this tick
 const activeKeys = [];
 
-// Object containing members representing which keys have just been pressed
+// Objects containing members representing which keys have been pressed or released this tick
 const pressedKeys = {};
+const releasedKeys = {};
 
-// Array of released keys; not active
-const releasedKeys = [];
+// Objects containing the times keys went down, and were last pressed, in seconds
+const keyDownTimes = {};
+const keyPressTimes = {};
 
 /**
  * Gets keys down
@@ -17,12 +28,20 @@ export function getKeysDown() {
 
 /**
  * Gets keys pressed
- * @returns {Object} Returns pseudo-array, object, that contains which keys have just been pressed
+ * @returns {Object} Returns pseudo-array, object, that contains which keys have been pressed this tick
  */
 export function getKeysPressed() {
   return pressedKeys;
 }
 
+/**
+ * Gets keys released
+ * @returns {Object} Returns pseudo-array, object, that contains which keys have been released this tick
+ */
+export function getKeysReleased() {
+  return releasedKeys;
+}
+
 /**
  * If key is down, alternative to array method
  * @param {String} key The key to check if down
@@ -33,41 +52,119 @@ export function isKeyDown(key) {
 }
 
 /**
- * If key has just been pressed, alternative to array method
+ * If key has just been pressed, alternative to object method; true for the whole tick, however many times it's checked
  * @param {String} key The key to check if just pressed
- * @returns {Boolean} Returns whether or not the key was just pressed
+ * @returns {Boolean} Returns whether or not the key was pressed this tick
  */
 export function isKeyPressed(key) {
-  if (releasedKeys[key] == undefined) releasedKeys[key] = true;
-  const keyState = releasedKeys[key] && isKeyDown(key);
-  if (keyState) releasedKeys[key] = false;
-  return keyState;
+  return pressedKeys[key] || false;
+}
+
+/**
+ * If key has just been released, alternative to object method; true for the whole tick, however many times it's checked
+ * @param {String} key The key to check if just released
+ * @returns {Boolean} Returns whether or not the key was released this tick
+ */
+export function isKeyReleased(key) {
+  return releasedKeys[key] || false;
+}
+
+/**
+ * Gets how long a key has been held down
+ * @param {String} key The key to check
+ * @returns {Number} Returns the time the key has been down for as of this tick in seconds, or 0 if it isn't down
+ */
+export function getKeyHoldDuration(key) {
+  return isKeyDown(key) ? getInputTime() - keyDownTimes[key] : 0;
+}
+
+/**
+ * If key has been pressed within a window of time; an input buffer, e.g. for jumping just before landing
+ * @param {String} key The key to check
+ * @param {Number} seconds The length of the window, ending this tick, in seconds
+ * @param {Boolean} consume Whether or not to clear the buffered press if there is one, so it's only acted on once. Defaults to false.
+ * @returns {Boolean} Returns whether or not the key was pressed within the window
+ */
+export function wasKeyPressedWithin(key, seconds, consume = false) {
+  const buffered = keyPressTimes[key] != undefined && getInputTime() - keyPressTimes[key] <= seconds;
+  if (buffered && consume) delete keyPressTimes[key];
+  return buffered;
+}
+
+/**
+ * Snapshots the keyboard; the active, pressed and released keys of the new tick. @see addInputUpdater
+ * @param {Number} now The time of the tick in seconds
+ */
+function updateKeys(now) {
+  for (const key in pressedKeys) delete pressedKeys[key];
+  for (const key in releasedKeys) delete releasedKeys[key];
+
+  for (const key of queuedPresses) {
+    pressedKeys[key] = true;
+    keyPressTimes[key] = now;
+    if (!activeKeys[key]) keyDownTimes[key] = now;
+  }
+
+  for (const key of queuedReleases) {
+    releasedKeys[key] = true;
+  }
+
+  for (const key in liveKeys) {
+    activeKeys[key] = liveKeys[key];
+  }
+
+  queuedPresses.length = 0;
+  queuedReleases.length = 0;
+}
+
+/**
+ * Applies raw keyboard input; marks a key as held down and queues a press, or marks it as released and queues a release, for the next snapshot
+ * @param {Array<String>} input The raw input; 'd' or 'u', for down or up, and the key
+ */
+function applyKey([direction, key]) {
+  if (direction == 'd') {
+    if (!liveKeys[key]) queuedPresses.push(key);
+    liveKeys[key] = true;
+  } else {
+    liveKeys[key] = false;
+    queuedReleases.push(key);
+  }
 }
 
 /**
- * Adds a key to the active key array, and appends a getter to the pressed keys object running the @see isKeyPressed method on access
+ * Dispatches a key going down as raw input; key repeats are ignored. @see dispatchInput
  * @param {KeyboardEvent} event The keyboard event referenced
  */
 function addKey(event) {
-  if (activeKeys[event.key] == undefined) {
-    Object.defineProperty(pressedKeys, event.key, {
-      get() {
-        return isKeyPressed(event.key);
-      },
-    });
-  }
-  activeKeys[event.key] = true;
+  if (!event.repeat) dispatchInput('keyboard', ['d', event.key]);
 }
 
 /**
- * Removes a key from the active key array, and adds a key to the released key array
+ * Dispatches a key going up as raw input. @see dispatchInput
  * @param {KeyboardEvent} event The keyboard event referenced
  */
 function removeKey(event) {
-  activeKeys[event.key] = false;
-  releasedKeys[event.key] = true;
+  dispatchInput('keyboard', ['u', event.key]);
 }
 
-// Add key event listeners to DOM
-window.addEventListener('keydown', addKey);
-window.addEventListener('keyup', removeKey);
\ No newline at end of file
+/**
+ * Resets the keyboard to no keys down
+ */
+function resetKeys() {
+  for (const state of [liveKeys, activeKeys, pressedKeys, releasedKeys, keyDownTimes, keyPressTimes]) {
+    for (const key in state) delete state[key];
+  }
+
+  queuedPresses.length = 0;
+  queuedReleases.length = 0;
+}
+
+// Register the keyboard as an input source, and snapshot it every tick
+addInputSource('keyboard', applyKey, resetKeys);
+addInputUpdater(updateKeys);
+
+// Add key event listeners to DOM; skipped when running headless
+if (typeof window != 'undefined') {
+  window.addEventListener('keydown', addKey);
+  window.addEventListener('keyup', removeKey);
+}
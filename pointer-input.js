@@ -0,0 +1,357 @@
+import { Camera, Renderer, Vector2 } from './engine.js';
+import { addInputSource, addInputUpdater, dispatchInput } from './input.js';
+
+/**
+ * Indices of the pointer buttons by name, as in PointerEvent.button; touches and pen contact are the left button
+ */
+export const POINTER_BUTTONS = Object.freeze({
+    LEFT: 0,
+    MIDDLE: 1,
+    RIGHT: 2,
+});
+
+/**
+ * Bits of PointerEvent.buttons for each button index; the bitmask orders the middle and right buttons the other way around
+ */
+const BUTTON_BITS = [1, 4, 2, 8, 16];
+
+// Map of the ids of active pointers to their state; type, screen position and the buttons they hold
+const pointers = new Map();
+
+// Screen position of the primary pointer as of the last pointer event, and as of this tick; kept after it leaves, so the mouse still has a position while
+// no buttons are down
+const livePosition = Vector2.zero;
+const position = Vector2.zero;
+
+// Array of buttons held down right now, as of the last pointer event
+const liveButtons = [];
+
+// Arrays of buttons pressed and released since the last snapshot, so clicks shorter than a tick aren't lost
+const queuedPresses = [];
+const queuedReleases = [];
+
+// Array of active buttons, and arrays of buttons that have been pressed or released, as of this tick
+const activeButtons = [];
+const pressedButtons = [];
+const releasedButtons = [];
+
+// Wheel scroll since the last snapshot, and during the last tick
+const liveWheel = Vector2.zero;
+const wheel = Vector2.zero;
+
+/**
+ * Converts screen coordinates to world coordinates, through the camera rendered at that point on screen
+ * @param {Vector2} screen The screen coordinates to convert
+ * @returns {Vector2} Returns the world coordinates; through the main camera if no camera is rendered at that point
+ */
+export function toWorldCoordinates(screen) {
+    return (Renderer.cameraAt(screen) || Camera.main).toGlobalCoordinates(screen);
+}
+
+/**
+ * Gets the position of the primary pointer in screen coordinates; the normalized coordinate system of the stage
+ * @returns {Vector2} Returns the screen position as of this tick
+ */
+export function getPointerPosition() {
+    return position.clone();
+}
+
+/**
+ * Gets the position of the primary pointer in world coordinates
+ * @returns {Vector2} Returns the world position. @see toWorldCoordinates
+ */
+export function getPointerWorldPosition() {
+    return toWorldCoordinates(position);
+}
+
+/**
+ * Gets the active touches
+ * @returns {Array<*>} Returns the id, screen position and world position of each finger on the screen, as of the last pointer event
+ */
+export function getTouches() {
+    const touches = [];
+
+    for (const pointer of pointers.values()) {
+        if (pointer.type == 'touch') {
+            touches.push({ id: pointer.id, position: pointer.position.clone(), worldPosition: toWorldCoordinates(pointer.position) });
+        }
+    }
+
+    return touches;
+}
+
+/**
+ * If a pointer button is down
+ * @param {Number} button The index of the button; @see POINTER_BUTTONS. Defaults to the left button.
+ * @returns {Boolean} Returns the state of the button
+ */
+export function isPointerDown(button = POINTER_BUTTONS.LEFT) {
+    return activeButtons[button] || false;
+}
+
+/**
+ * If a pointer button has just been pressed; true for the whole tick, however many times it's checked
+ * @param {Number} button The index of the button; @see POINTER_BUTTONS. Defaults to the left button.
+ * @returns {Boolean} Returns whether or not the button was pressed this tick
+ */
+export function isPointerPressed(button = POINTER_BUTTONS.LEFT) {
+    return pressedButtons[button] || false;
+}
+
+/**
+ * If a pointer button has just been released; true for the whole tick, however many times it's checked
+ * @param {Number} button The index of the button; @see POINTER_BUTTONS. Defaults to the left button.
+ * @returns {Boolean} Returns whether or not the button was released this tick
+ */
+export function isPointerReleased(button = POINTER_BUTTONS.LEFT) {
+    return releasedButtons[button] || false;
+}
+
+/**
+ * Gets the wheel scroll of this tick
+ * @returns {Vector2} Returns the horizontal and vertical scroll, in pixels; positive scrolling right and down
+ */
+export function getWheel() {
+    return wheel.clone();
+}
+
+/**
+ * Snapshots the pointer; the position, active, pressed and released buttons and wheel scroll of the new tick. @see addInputUpdater
+ */
+function updatePointer() {
+    pressedButtons.length = 0;
+    releasedButtons.length = 0;
+
+    for (const button of queuedPresses) {
+        pressedButtons[button] = true;
+    }
+
+    for (const button of queuedReleases) {
+        releasedButtons[button] = true;
+    }
+
+    liveButtons.forEach((down, button) => activeButtons[button] = down);
+
+    position.x = livePosition.x;
+    position.y = livePosition.y;
+    wheel.x = liveWheel.x;
+    wheel.y = liveWheel.y;
+
+    queuedPresses.length = 0;
+    queuedReleases.length = 0;
+    liveWheel.x = 0;
+    liveWheel.y = 0;
+}
+
+/**
+ * Converts the client coordinates of a pointer event to screen coordinates; undoing the scale the renderer applies to the stage
+ * @param {PointerEvent} event The pointer event referenced
+ * @returns {Vector2} Returns the screen coordinates
+ */
+function toScreenCoordinates(event) {
+    const view = Renderer.view;
+
+    if (view == null) {
+        return new Vector2(event.clientX, event.clientY);
+    }
+
+    const rect = view.getBoundingClientRect();
+
+    return new Vector2(
+        (event.clientX - rect.left) * Renderer.width / rect.width,
+        (event.clientY - rect.top) * Renderer.height / rect.height,
+    );
+}
+
+/**
+ * Dispatches a pointer event as raw input, in screen coordinates. @see dispatchInput
+ * @param {PointerEvent} event The pointer event referenced
+ */
+function dispatchPointer(event) {
+
+    // Page UI around the canvas isn't part of the game; pointers pressed on the canvas are still followed off it, so drags can end anywhere
+    if (!isOnView(event) && !isDragging(event.pointerId)) {
+        return;
+    }
+
+    const screen = toScreenCoordinates(event);
+
+    // Rounded to hundredths of a pixel, so recordings stay small
+    dispatchInput('pointer', [
+        event.type,
+        event.pointerId,
+        event.pointerType,
+        event.isPrimary ? 1 : 0,
+        event.button,
+        event.buttons,
+        Math.round(screen.x * 100) / 100,
+        Math.round(screen.y * 100) / 100,
+    ]);
+}
+
+/**
+ * Dispatches wheel scroll as raw input; normalized to pixels. @see dispatchInput
+ * @param {WheelEvent} event The wheel event referenced
+ */
+function dispatchWheel(event) {
+    if (!isOnView(event)) {
+        return;
+    }
+
+    // Lines and pages are converted to pixels, roughly
+    const scale = event.deltaMode == 1 ? 16 : event.deltaMode == 2 ? Renderer.height : 1;
+
+    dispatchInput('pointer', ['wheel', event.deltaX * scale, event.deltaY * scale]);
+}
+
+/**
+ * Checks if an event happened on the canvas the renderer draws to
+ * @param {Event} event The pointer or wheel event referenced
+ * @returns {Boolean} Returns whether or not the event targets the canvas; always true before there is one, e.g. when running headless
+ */
+function isOnView(event) {
+    const view = Renderer.view;
+
+    return view == null || event.target == view;
+}
+
+/**
+ * Checks if a pointer is holding any buttons, having pressed them on the canvas
+ * @param {Number} pointerId The id of the pointer
+ * @returns {Boolean} Returns whether or not the pointer is dragging
+ */
+function isDragging(pointerId) {
+    const pointer = pointers.get(pointerId);
+
+    return pointer != undefined && pointer.buttons.size > 0;
+}
+
+/**
+ * Applies raw pointer input; a pointer moving, a button going down or up, or wheel scroll
+ * @param {Array<*>} input The raw input; the event type, pointer id, pointer type, whether or not it's the primary pointer (1 or 0), button, buttons
+ * and screen position of pointer events, or the type and scroll of wheel events
+ */
+function applyPointer(input) {
+    if (input[0] == 'wheel') {
+        liveWheel.x += input[1];
+        liveWheel.y += input[2];
+        return;
+    }
+
+    const [type, pointerId, pointerType, isPrimary, button, buttons, x, y] = input;
+    const event = { type, pointerId, pointerType, isPrimary: isPrimary == 1, button, buttons, position: new Vector2(x, y) };
+
+    if (type == 'pointermove') {
+        movePointer(event);
+    } else if (type == 'pointerdown') {
+        addButton(event);
+    } else {
+        removeButton(event);
+    }
+}
+
+/**
+ * Resets the pointer to no buttons down and no touches; the mouse keeps its position
+ */
+function resetPointer() {
+    pointers.clear();
+
+    for (const buttons of [liveButtons, activeButtons, pressedButtons, releasedButtons, queuedPresses, queuedReleases]) {
+        buttons.length = 0;
+    }
+
+    liveWheel.x = 0;
+    liveWheel.y = 0;
+    wheel.x = 0;
+    wheel.y = 0;
+}
+
+/**
+ * Tracks a pointer and its position, and the position of the primary pointer. Also handles chorded mouse buttons; pressing or releasing a mouse button
+ * while another is down moves the pointer instead of pressing it.
+ * @param {*} event The pointer event, as applied from raw input; @see applyPointer
+ */
+function movePointer(event) {
+    const screen = event.position;
+
+    if (pointers.has(event.pointerId)) {
+        pointers.get(event.pointerId).position = screen;
+    } else if (event.type == 'pointerdown' || event.pointerType == 'mouse') {
+
+        // Touches and pens are only tracked while in contact, the mouse always
+        pointers.set(event.pointerId, { id: event.pointerId, type: event.pointerType, position: screen, buttons: new Set() });
+    }
+
+    if (event.isPrimary) {
+        livePosition.x = screen.x;
+        livePosition.y = screen.y;
+    }
+
+    if (event.type == 'pointermove' && event.button >= 0) {
+        if (event.buttons & BUTTON_BITS[event.button]) {
+            addButton(event);
+        } else {
+            removeButton(event);
+        }
+    }
+}
+
+/**
+ * Marks a button as held down, and queues a press for the next snapshot
+ * @param {*} event The pointer event, as applied from raw input; @see applyPointer
+ */
+function addButton(event) {
+    if (event.type == 'pointerdown') {
+        movePointer(event);
+    }
+
+    pointers.get(event.pointerId).buttons.add(event.button);
+    liveButtons[event.button] = true;
+    queuedPresses.push(event.button);
+}
+
+/**
+ * Removes a button from the pointer holding it, and once no pointer holds it, marks it as released and queues a release for the next snapshot.
+ * Also stops tracking finished touches.
+ * @param {*} event The pointer event, as applied from raw input; @see applyPointer
+ */
+function removeButton(event) {
+    if (event.type != 'pointermove') {
+        movePointer(event);
+    }
+
+    const pointer = pointers.get(event.pointerId);
+
+    if (pointer == undefined) {
+        return;
+    }
+
+    // Cancelled pointers report no button; release every one they held
+    const buttons = event.button < 0 ? Array.from(pointer.buttons) : [event.button];
+
+    for (const button of buttons) {
+        pointer.buttons.delete(button);
+
+        if (liveButtons[button] && !Array.from(pointers.values()).some(other => other.buttons.has(button))) {
+            liveButtons[button] = false;
+            queuedReleases.push(button);
+        }
+    }
+
+    if (event.pointerType != 'mouse' && event.type != 'pointermove') {
+        pointers.delete(event.pointerId);
+    }
+}
+
+// Register the pointer as an input source, and snapshot it every tick
+addInputSource('pointer', applyPointer, resetPointer);
+addInputUpdater(updatePointer);
+
+// Add pointer event listeners to DOM; skipped when running headless
+if (typeof window != 'undefined') {
+    for (const type of ['pointermove', 'pointerdown', 'pointerup', 'pointercancel']) {
+        window.addEventListener(type, dispatchPointer);
+    }
+
+    window.addEventListener('wheel', dispatchWheel);
+}
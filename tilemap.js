@@ -0,0 +1,347 @@
+import { AssetLoader, StandardBody, Vector2 } from './engine.js';
+
+/**
+ * Flags Tiled stores in the top bits of a tile's global id; horizontal, vertical and diagonal flipping
+ */
+const FLIPPED_HORIZONTALLY = 0x80000000;
+const FLIPPED_VERTICALLY = 0x40000000;
+const FLIPPED_DIAGONALLY = 0x20000000;
+
+export class Tilemap {
+
+    /**
+     * Adds a Tiled map (.tmj or .json) to the loader, along with the images of its tilesets. Offloads to the @see AssetLoader class to allow function chaining.
+     * Tilesets must be embedded in the map, and their images are added under the name of their Tiled tileset.
+     * @param {String} name The name of the map asset
+     * @param {String} location The (relative or absolute) location of the map file
+     * @param {*} tilesets An object mapping the name of each tileset in the map to the location of its image
+     * @returns {AssetLoader} Returns @see AssetLoader class for function chaining
+     */
+    static addAsset(name, location, tilesets = {}) {
+        const manifest = Tilemap.manifest(name, location, tilesets);
+
+        for (const asset in manifest) {
+            AssetLoader.addAsset(asset, manifest[asset]);
+        }
+
+        return AssetLoader;
+    }
+
+    /**
+     * Creates an asset manifest for a Tiled map and the images of its tilesets, for the assets option of a scene; they're loaded with the scene, and
+     * unloaded once no loaded scene references them. @see Tilemap.addAsset
+     * @param {String} name The name of the map asset
+     * @param {String} location The (relative or absolute) location of the map file
+     * @param {*} tilesets An object mapping the name of each tileset in the map to the location of its image
+     * @returns {*} Returns the manifest; merge it with the scene's other assets
+     */
+    static manifest(name, location, tilesets = {}) {
+        return Object.assign({ [name]: location }, tilesets);
+    }
+
+    /**
+     * Creates a tilemap from loaded game assets; for use in a scene setup function
+     * @param {*} resources The game assets passed to the scene setup function
+     * @param {String} name The name the map asset was added under. @see Tilemap.addAsset
+     * @returns {Tilemap} Returns the new tilemap
+     */
+    static fromResources(resources, name) {
+        const data = resources[name].data;
+
+        // The loader only parses .json files as JSON; .tmj maps arrive as text
+        return new Tilemap(typeof data == 'string' ? JSON.parse(data) : data, resources);
+    }
+
+    /**
+     * Creates a tilemap from a Tiled map. Only orthogonal, finite maps with embedded tilesets and uncompressed layer data are supported.
+     * @param {*} data The parsed Tiled map
+     * @param {*} resources The game assets containing the tileset images, named after their tilesets. Only needed for rendering.
+     */
+    constructor(data, resources = {}) {
+
+        if (data.orientation != 'orthogonal' || data.infinite) {
+            throw new Error('Only finite, orthogonal Tiled maps are supported');
+        }
+
+        // Map dimensions, in tiles, and tile dimensions, in pixels
+        this.width = data.width;
+        this.height = data.height;
+        this.tileWidth = data.tilewidth;
+        this.tileHeight = data.tileheight;
+
+        // The Tiled map and game assets this tilemap was made from
+        this.data = data;
+        this.resources = resources;
+
+        // Objects of all the object layers; spawn points, regions and the like
+        this.objects = [];
+
+        // Static colliders generated from the collision layer; @see Tilemap.buildColliders
+        this.colliders = [];
+
+        // Internal cache of the textures of each global tile id
+        this._textures = new Map();
+
+        for (const layer of data.layers) {
+            if (layer.type == 'objectgroup') {
+                for (const object of layer.objects) {
+                    this.objects.push({
+                        name: object.name,
+                        type: object.type || object.class || '',
+                        layer: layer.name,
+                        position: new Vector2(object.x, object.y),
+                        width: object.width,
+                        height: object.height,
+                        properties: parseProperties(object.properties),
+                    });
+                }
+            }
+        }
+    }
+
+    /**
+     * Gets a tile layer of the map
+     * @param {String} name The name of the layer
+     * @returns {*} Returns the Tiled layer, or undefined if there is no tile layer with that name
+     */
+    getLayer(name) {
+        return this.data.layers.find(layer => layer.type == 'tilelayer' && layer.name == name);
+    }
+
+    /**
+     * Gets the objects of the object layers, optionally only those with a given name
+     * @param {String} name The name of the objects to get. Defaults to every object.
+     * @returns {Array<*>} Returns the objects; their name, type, layer, top-left position, width, height and custom properties
+     */
+    getObjects(name) {
+        return name == undefined ? this.objects : this.objects.filter(object => object.name == name);
+    }
+
+    /**
+     * Gets the first object with a given name; handy for unique spawn points
+     * @param {String} name The name of the object
+     * @returns {*} Returns the object, or undefined if there is none. @see Tilemap.getObjects
+     */
+    getObject(name) {
+        return this.objects.find(object => object.name == name);
+    }
+
+    /**
+     * Renders every visible tile layer into a container. Each layer gets its own container, with a z-index following the layer order unless the layer has
+     * a custom "zIndex" property, so it sorts alongside the rest of the scene.
+     * @param {PIXI.Container} container The container to render the layers into; usually the scene container
+     * @returns {Tilemap} Returns self for chaining
+     */
+    render(container) {
+
+        this.data.layers.forEach((layer, i) => {
+
+            if (layer.type != 'tilelayer' || !layer.visible) {
+                return;
+            }
+
+            const layerContainer = new PIXI.Container();
+            const properties = parseProperties(layer.properties);
+
+            layerContainer.zIndex = properties.zIndex != undefined ? properties.zIndex : i;
+            layerContainer.alpha = layer.opacity;
+            layerContainer.x = layer.offsetx || 0;
+            layerContainer.y = layer.offsety || 0;
+
+            layerData(layer).forEach((gid, index) => {
+
+                if (gid == 0) {
+                    return;
+                }
+
+                const texture = this.getTexture(gid);
+                const sprite = new PIXI.Sprite(texture);
+
+                // Diagonal flipping swaps the axes of the tile, and with them its width and height
+                const diagonal = (gid & FLIPPED_DIAGONALLY) != 0;
+                const width = diagonal ? texture.height : texture.width;
+                const height = diagonal ? texture.width : texture.height;
+                const flipX = gid & FLIPPED_HORIZONTALLY ? -1 : 1;
+                const flipY = gid & FLIPPED_VERTICALLY ? -1 : 1;
+
+                // Tiles are anchored at their bottom-left corner, so tiles taller than the grid stick up out of their cell; flipped around their middle
+                sprite.anchor.set(0.5, 0.5);
+                sprite.x = (index % layer.width) * this.tileWidth + width / 2;
+                sprite.y = Math.floor(index / layer.width) * this.tileHeight + this.tileHeight - height / 2;
+
+                // Tiled flips diagonally first, then horizontally and vertically; a diagonal flip is a quarter turn with the new vertical axis mirrored
+                if (diagonal) {
+                    sprite.rotation = Math.PI / 2;
+                    sprite.scale.set(flipY, -flipX);
+                } else {
+                    sprite.scale.set(flipX, flipY);
+                }
+
+                layerContainer.addChild(sprite);
+            });
+
+            container.addChild(layerContainer);
+        });
+
+        return this;
+    }
+
+    /**
+     * Gets the texture of a tile, cutting it out of its tileset image the first time
+     * @param {Number} gid The global id of the tile; flip flags are ignored
+     * @returns {PIXI.Texture} Returns the texture of the tile
+     */
+    getTexture(gid) {
+        const id = tileId(gid);
+
+        if (!this._textures.has(id)) {
+
+            // The tileset a tile belongs to is the last one starting at or before its id
+            const tileset = this.data.tilesets.filter(tileset => tileset.firstgid <= id).pop();
+
+            if (tileset == undefined || this.resources[tileset.name] == undefined) {
+                throw new Error(`No tileset image loaded for tile ${id}`);
+            }
+
+            const local = id - tileset.firstgid;
+            const margin = tileset.margin || 0;
+            const spacing = tileset.spacing || 0;
+            const frame = new PIXI.Rectangle(
+                margin + (local % tileset.columns) * (tileset.tilewidth + spacing),
+                margin + Math.floor(local / tileset.columns) * (tileset.tileheight + spacing),
+                tileset.tilewidth,
+                tileset.tileheight,
+            );
+
+            this._textures.set(id, new PIXI.Texture(this.resources[tileset.name].texture.baseTexture, frame));
+        }
+
+        return this._textures.get(id);
+    }
+
+    /**
+     * Generates static colliders from a tile layer. Every non-empty tile is solid; adjacent solid tiles are merged into as few rectangles as possible,
+     * so the physics step only has a handful of bodies to check. The colliders are added to the active physics world, and are invisible.
+     * @param {String} layerName The name of the tile layer to generate colliders from. Defaults to 'collision'.
+     * @returns {Array<StandardBody>} Returns the generated colliders
+     */
+    buildColliders(layerName = 'collision') {
+        const layer = this.getLayer(layerName);
+
+        if (layer == undefined) {
+            throw new Error(`No tile layer named '${layerName}'`);
+        }
+
+        const solid = layerData(layer).map(gid => gid != 0);
+        const appearance = typeof PIXI == 'undefined' ? {} : { texture: PIXI.Texture.EMPTY };
+
+        for (const rect of mergeTiles(solid, layer.width, layer.height)) {
+            this.colliders.push(new StandardBody(
+                new Vector2(rect.x * this.tileWidth + (layer.offsetx || 0), rect.y * this.tileHeight + (layer.offsety || 0)),
+                rect.width * this.tileWidth,
+                rect.height * this.tileHeight,
+                appearance,
+            ));
+        }
+
+        return this.colliders;
+    }
+}
+
+/**
+ * Strips the flip flags from a global tile id
+ * @param {Number} gid The global tile id, possibly with flip flags
+ * @returns {Number} Returns the plain global tile id
+ */
+function tileId(gid) {
+    return (gid & ~(FLIPPED_HORIZONTALLY | FLIPPED_VERTICALLY | FLIPPED_DIAGONALLY)) >>> 0;
+}
+
+/**
+ * Gets the tile data of a tile layer
+ * @param {*} layer The Tiled tile layer
+ * @returns {Array<Number>} Returns the global tile ids of the layer, row by row
+ */
+function layerData(layer) {
+
+    if (!Array.isArray(layer.data)) {
+        throw new Error(`Layer '${layer.name}' must use the CSV (array) tile layer format`);
+    }
+
+    return layer.data;
+}
+
+/**
+ * Flattens a Tiled custom property array into an object
+ * @param {Array<*>} properties The Tiled custom properties; each with a name and value
+ * @returns {*} Returns an object mapping each property name to its value
+ */
+function parseProperties(properties = []) {
+    const parsed = {};
+
+    for (const property of properties) {
+        parsed[property.name] = property.value;
+    }
+
+    return parsed;
+}
+
+/**
+ * Greedily merges a grid of solid tiles into rectangles; each rectangle grows as far right as it can, then as far down as whole rows allow
+ * @param {Array<Boolean>} solid Whether or not each tile is solid, row by row
+ * @param {Number} width The width of the grid, in tiles
+ * @param {Number} height The height of the grid, in tiles
+ * @returns {Array<*>} Returns the rectangles, in tiles; their top-left x and y, width and height
+ */
+function mergeTiles(solid, width, height) {
+    const used = new Array(solid.length).fill(false);
+    const rects = [];
+
+    // Whether or not a tile is solid and not yet part of a rectangle
+    const free = (x, y) => solid[y * width + x] && !used[y * width + x];
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+
+            if (!free(x, y)) {
+                continue;
+            }
+
+            // Grow right
+            let w = 1;
+            while (x + w < width && free(x + w, y)) {
+                w++;
+            }
+
+            // Grow down while the whole row below is free
+            let h = 1;
+            while (y + h < height) {
+                let rowFree = true;
+
+                for (let i = 0; i < w; i++) {
+                    if (!free(x + i, y + h)) {
+                        rowFree = false;
+                        break;
+                    }
+                }
+
+                if (!rowFree) {
+                    break;
+                }
+
+                h++;
+            }
+
+            // Claim the tiles of the rectangle
+            for (let j = 0; j < h; j++) {
+                for (let i = 0; i < w; i++) {
+                    used[(y + j) * width + x + i] = true;
+                }
+            }
+
+            rects.push({ x: x, y: y, width: w, height: h });
+        }
+    }
+
+    return rects;
+}